@@ -0,0 +1,68 @@
+// Runs the board analysis off the main thread. The page posts
+//   { type: "embeddings", reset, entries: [[text, vector]] }
+//   { type: "analyze", problemStatement, ideas, options }
+//   { type: "project", id, method }
+//   { type: "preview", id, problemStatement, ideas, options }
+// and gets back { type: "analysis", analysis } (or { type: "error", error })
+// for every "analyze", in order, { type: "projection", id, projection } and
+// { type: "preview", id, analysis } (or { type: "preview", id, error }).
+// Previews try out draft settings with an analyzer of their own, so they do
+// not throw away what the board's analyzer has cached. Provider embeddings
+// are sent once per text; `options.embeddings` only says whether to use them.
+// It runs as a module worker.
+
+import { createAnalyzer, projectIdeas } from "./engine.js";
+
+const analyzer = createAnalyzer();
+const previewAnalyzer = createAnalyzer();
+let embeddings = new Map();
+let latest = null;
+
+function analyzeWith(target, { problemStatement, ideas, options }) {
+  return target.analyze(problemStatement, ideas, {
+    ...options,
+    embeddings: options.embeddings ? embeddings : null
+  });
+}
+
+// The page already holds the embedding vectors, so they are not copied back.
+function withoutEmbeddings(analysis) {
+  return analysis.vectorSource === "embeddings"
+    ? { ...analysis, ideaVectors: null }
+    : analysis;
+}
+
+function analyze(message) {
+  const analysis = analyzeWith(analyzer, message);
+  latest = { ideas: message.ideas, analysis };
+  return withoutEmbeddings(analysis);
+}
+
+function project(method) {
+  if (!latest) return { points: [], anchor: null };
+  const { ideas, analysis } = latest;
+  return projectIdeas(ideas, analysis.ideaVectors, analysis.problemVector, method);
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+  if (message.type === "embeddings") {
+    if (message.reset) embeddings = new Map();
+    message.entries.forEach(([text, vector]) => embeddings.set(text, vector));
+  } else if (message.type === "analyze") {
+    try {
+      self.postMessage({ type: "analysis", analysis: analyze(message) });
+    } catch (err) {
+      self.postMessage({ type: "error", error: err.message });
+    }
+  } else if (message.type === "project") {
+    self.postMessage({ type: "projection", id: message.id, projection: project(message.method) });
+  } else if (message.type === "preview") {
+    try {
+      const analysis = withoutEmbeddings(analyzeWith(previewAnalyzer, message));
+      self.postMessage({ type: "preview", id: message.id, analysis });
+    } catch (err) {
+      self.postMessage({ type: "preview", id: message.id, error: err.message });
+    }
+  }
+};
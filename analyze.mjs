@@ -0,0 +1,306 @@
+// AffinityBoard command-line analysis.
+//
+// Clusters a list of ideas and scores their novelty with the same engine as
+// the board, without a browser. Ideas come from a text file (one idea per
+// line), a CSV file with a "text" column (and optional "id" and "author"
+// columns, as in the board's CSV export) or a JSON file: an array of strings
+// or ideas, a stored board or the board's JSON export. Use "-" to read from
+// standard input.
+//
+//   node analyze.mjs ideas.txt --problem "How might we reduce churn?"
+//   node analyze.mjs survey.csv --format json > analysis.json
+//   cat ideas.txt | node analyze.mjs - --algorithm kmeans --k 4
+//
+// A JSON board brings its own problem statement and prompts; --problem
+// replaces the problem statement.
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import {
+  LANGUAGES,
+  VECTOR_MODELS,
+  CLUSTERING_ALGORITHMS,
+  NOVELTY_SCORING,
+  DEFAULT_ANALYSIS_OPTIONS,
+  DEFAULT_CLUSTERING_OPTIONS,
+  computeAnalysis,
+  parseCSV
+} from "./engine.js";
+
+const names = (table) => Object.keys(table).join(", ");
+const USAGE = `Usage: node analyze.mjs <file|-> [options]
+
+Options:
+  --input text|csv|json  Input format (default: from the file extension)
+  --problem <text>       Problem statement the ideas answer
+  --format table|json    Output format (default: table)
+  --language <code>      auto, ${names(LANGUAGES)} (default: auto)
+  --model <name>         ${names(VECTOR_MODELS)}
+                         (default: ${DEFAULT_ANALYSIS_OPTIONS.vectorModel})
+  --algorithm <name>     ${names(CLUSTERING_ALGORITHMS)}
+                         (default: ${DEFAULT_CLUSTERING_OPTIONS.algorithm})
+  --threshold <number>   Similarity needed to join a theme
+                         (default: ${DEFAULT_CLUSTERING_OPTIONS.threshold})
+  --k <number|auto>      Number of themes for k-means and k-medoids
+                         (default: auto)
+  --scoring <name>       ${names(NOVELTY_SCORING)}
+                         (default: ${DEFAULT_ANALYSIS_OPTIONS.scoring})
+  --neighbors <number>   Nearest ideas novelty is measured against
+                         (default: ${DEFAULT_ANALYSIS_OPTIONS.neighbors})
+  --ignore <words>       Comma-separated words to leave out, on top of the
+                         language's stop words
+  --help                 Show this message`;
+
+function fail(message) {
+  console.error(`analyze: ${message}`);
+  process.exit(1);
+}
+
+function choice(name, value, allowed) {
+  if (!allowed.includes(value)) {
+    fail(`--${name} must be one of ${allowed.join(", ")}, not "${value}"`);
+  }
+  return value;
+}
+
+// Turns whatever the input held into board ideas with ids and authors.
+function toIdeas(entries) {
+  const ideas = [];
+  entries.forEach((entry) => {
+    const idea = typeof entry === "string" ? { text: entry } : entry;
+    if (!idea || typeof idea.text !== "string" || !idea.text.trim()) return;
+    ideas.push({
+      id: idea.id ? String(idea.id) : `i${ideas.length + 1}`,
+      text: idea.text.trim(),
+      author: typeof idea.author === "string" ? idea.author : ""
+    });
+  });
+  const seen = new Set();
+  ideas.forEach((idea) => {
+    if (seen.has(idea.id)) fail(`the idea id "${idea.id}" is used more than once`);
+    seen.add(idea.id);
+  });
+  return ideas;
+}
+
+function readText(text) {
+  return { ideas: toIdeas(text.split(/\r?\n/)), problemStatement: "", prompts: [] };
+}
+
+function readCSV(text) {
+  const rows = parseCSV(text.replace(/^\uFEFF/, ""));
+  if (rows.length === 0) fail("the CSV file is empty");
+  const header = rows[0].cells.map((cell) => cell.trim().toLowerCase());
+  if (!header.includes("text")) fail('the CSV header needs a "text" column');
+  const entries = rows.slice(1).map(({ cells }) => {
+    const raw = {};
+    ["id", "text", "author"].forEach((name) => {
+      const idx = header.indexOf(name);
+      if (idx !== -1 && cells[idx] !== undefined) raw[name] = cells[idx];
+    });
+    return raw;
+  });
+  return { ideas: toIdeas(entries), problemStatement: "", prompts: [] };
+}
+
+function readJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    fail(`not valid JSON: ${err.message}`);
+  }
+  if (Array.isArray(data)) {
+    return { ideas: toIdeas(data), problemStatement: "", prompts: [] };
+  }
+  const board = data && data.format !== undefined ? data.board : data;
+  if (!board || !Array.isArray(board.ideas)) {
+    fail("no ideas array found in the JSON");
+  }
+  return {
+    ideas: toIdeas(board.ideas),
+    problemStatement:
+      typeof board.problemStatement === "string" ? board.problemStatement : "",
+    prompts: Array.isArray(board.prompts) ? board.prompts : []
+  };
+}
+
+const READERS = { text: readText, csv: readCSV, json: readJSON };
+
+function inputFormat(file, requested) {
+  if (requested) return choice("input", requested, Object.keys(READERS));
+  const ext = path.extname(file).toLowerCase();
+  if (ext === ".csv") return "csv";
+  if (ext === ".json") return "json";
+  return "text";
+}
+
+function round(value, digits) {
+  if (typeof value !== "number" || !Number.isFinite(value)) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// The same shape as the "analysis" part of the board's JSON export, plus
+// the ideas themselves so the output stands on its own.
+function buildReport(input, analysis) {
+  const themeOf = {};
+  analysis.clusters.forEach((cluster) =>
+    cluster.ideaIds.forEach((id) => (themeOf[id] = cluster.id))
+  );
+  return {
+    problemStatement: input.problemStatement,
+    scoring: analysis.scoring,
+    silhouette: round(analysis.silhouette, 4),
+    clusters: analysis.clusters.map((cluster) => ({
+      id: cluster.id,
+      name: cluster.primaryName,
+      keywords: cluster.keywords,
+      medoidId: cluster.medoidId,
+      cohesion: round(cluster.cohesion, 4),
+      ideaIds: cluster.ideaIds
+    })),
+    ideas: input.ideas.map((idea) => {
+      const details = analysis.noveltyDetails[idea.id] || {};
+      return {
+        id: idea.id,
+        text: idea.text,
+        author: idea.author,
+        theme: themeOf[idea.id] || null,
+        novelty: analysis.noveltyById[idea.id],
+        relevance: round(details.relevance, 4),
+        meanNeighborSim: round(details.meanNeighborSim, 4)
+      };
+    }),
+    stats: analysis.stats
+  };
+}
+
+function printTable(report) {
+  const byId = {};
+  report.ideas.forEach((idea) => (byId[idea.id] = idea));
+  const lines = [];
+  if (report.problemStatement) lines.push(`Problem: ${report.problemStatement}`, "");
+  report.clusters.forEach((cluster) => {
+    const count = cluster.ideaIds.length;
+    const cohesion =
+      cluster.cohesion === null ? "" : `, cohesion ${cluster.cohesion.toFixed(2)}`;
+    lines.push(`${cluster.name} (${count} idea${count !== 1 ? "s" : ""}${cohesion})`);
+    cluster.ideaIds
+      .map((id) => byId[id])
+      .sort((a, b) => b.novelty - a.novelty)
+      .forEach((idea) => {
+        const marker = idea.id === cluster.medoidId && count > 2 ? "*" : " ";
+        lines.push(`  ${String(idea.novelty).padStart(3)}${marker} ${idea.text}`);
+      });
+    lines.push("");
+  });
+  const { avgNovelty, maxNovelty } = report.stats;
+  lines.push(
+    `${report.ideas.length} ideas in ${report.clusters.length} themes; ` +
+      `${report.scoring} novelty averages ${avgNovelty.toFixed(1)}, ` +
+      `highest ${maxNovelty}.`
+  );
+  if (report.clusters.some((cluster) => cluster.ideaIds.length > 2)) {
+    lines.push("* marks the most representative idea of each theme.");
+  }
+  console.log(lines.join("\n"));
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        input: { type: "string" },
+        problem: { type: "string" },
+        format: { type: "string", default: "table" },
+        language: { type: "string", default: "auto" },
+        model: { type: "string", default: DEFAULT_ANALYSIS_OPTIONS.vectorModel },
+        algorithm: { type: "string", default: DEFAULT_CLUSTERING_OPTIONS.algorithm },
+        threshold: { type: "string" },
+        k: { type: "string" },
+        scoring: { type: "string", default: DEFAULT_ANALYSIS_OPTIONS.scoring },
+        neighbors: { type: "string" },
+        ignore: { type: "string" },
+        help: { type: "boolean", default: false }
+      }
+    });
+  } catch (err) {
+    fail(`${err.message}\n\n${USAGE}`);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== 1) fail(`expected one input file\n\n${USAGE}`);
+
+  const file = positionals[0];
+  const format = choice("format", values.format, ["table", "json"]);
+  const clustering = {
+    ...DEFAULT_CLUSTERING_OPTIONS,
+    algorithm: choice("algorithm", values.algorithm, Object.keys(CLUSTERING_ALGORITHMS))
+  };
+  if (values.threshold !== undefined) {
+    const threshold = Number(values.threshold);
+    if (!(threshold >= 0 && threshold <= 1)) {
+      fail("--threshold must be between 0 and 1");
+    }
+    clustering.threshold = threshold;
+  }
+  if (values.k !== undefined && values.k !== "auto") {
+    const k = Number(values.k);
+    if (!Number.isInteger(k) || k < 1) fail('--k must be a whole number or "auto"');
+    clustering.k = k;
+  }
+  const options = {
+    vectorModel: choice("model", values.model, Object.keys(VECTOR_MODELS)),
+    language: choice("language", values.language, ["auto", ...Object.keys(LANGUAGES)]),
+    scoring: choice("scoring", values.scoring, Object.keys(NOVELTY_SCORING)),
+    clustering
+  };
+  if (values.neighbors !== undefined) {
+    const neighbors = Number(values.neighbors);
+    if (!Number.isInteger(neighbors) || neighbors < 1) {
+      fail("--neighbors must be a whole number of at least 1");
+    }
+    options.neighbors = neighbors;
+  }
+  if (values.ignore !== undefined) {
+    options.ignoredWords = values.ignore
+      .split(/[\s,]+/)
+      .map((word) => word.normalize("NFKC").toLowerCase())
+      .filter(Boolean);
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(file === "-" ? 0 : file, "utf8");
+  } catch (err) {
+    fail(`cannot read ${file}: ${err.message}`);
+  }
+  let input;
+  try {
+    input = READERS[inputFormat(file, values.input)](text);
+  } catch (err) {
+    fail(err.message);
+  }
+  if (values.problem !== undefined) input.problemStatement = values.problem;
+  if (input.ideas.length === 0) fail(`no ideas found in ${file}`);
+
+  const analysis = computeAnalysis(input.problemStatement, input.ideas, {
+    ...options,
+    prompts: input.prompts
+  });
+  const report = buildReport(input, analysis);
+  if (format === "json") {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printTable(report);
+  }
+}
+
+main();
@@ -1,378 +1,5698 @@
-const { useState, useMemo, useRef } = React;
+const { useState, useMemo, useRef, useEffect } = React;
 
-// ---- Text utilities ----
+// ---- Embedding providers ----
 
-const STOP_WORDS = new Set([
-  "the","a","an","and","or","of","to","in","on","for","with",
-  "is","are","this","that","it","be","by","from","as","at",
-  "we","our","your","you","i","me","my","their","they","them",
-  "was","were","have","has","had","do","did","does"
-]);
+// The providers themselves live in embeddings.js; these are the settings the
+// page builds one from.
 
-function tokenize(text) {
-  if (!text) return [];
-  return text
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, " ")
-    .split(/\s+/)
-    .filter((word) => word && !STOP_WORDS.has(word));
-}
-
-function buildVocabulary(texts) {
-  const vocab = new Map();
-  texts.forEach((t) => {
-    tokenize(t).forEach((word) => {
-      if (!vocab.has(word)) {
-        vocab.set(word, vocab.size);
-      }
-    });
-  });
-  return vocab;
+const EMBEDDING_SETTINGS_KEY = "affinityboard:embeddings";
+// The API key lives in session storage, so it is gone when the tab closes,
+// unless `rememberKey` is set; only then is it stored with the settings.
+const EMBEDDING_KEY_SESSION_KEY = "affinityboard:embeddings-key";
+const DEFAULT_EMBEDDING_SETTINGS = {
+  enabled: false,
+  endpoint: "http://localhost:8080/v1/embeddings",
+  model: "",
+  apiKey: "",
+  rememberKey: false,
+  batchSize: 64
+};
+
+// A key stored by older builds is still used for this session; the next
+// save moves it out of local storage.
+function loadEmbeddingSettings() {
+  const stored = { ...DEFAULT_EMBEDDING_SETTINGS, ...readStorage(EMBEDDING_SETTINGS_KEY) };
+  if (stored.rememberKey) return stored;
+  return {
+    ...stored,
+    apiKey: readStorage(EMBEDDING_KEY_SESSION_KEY, "sessionStorage") || stored.apiKey
+  };
+}
+
+function saveEmbeddingSettings(settings) {
+  const { apiKey, ...rest } = settings;
+  writeStorage(EMBEDDING_SETTINGS_KEY, settings.rememberKey ? settings : rest);
+  if (settings.rememberKey || !apiKey) {
+    removeStorage(EMBEDDING_KEY_SESSION_KEY, "sessionStorage");
+  } else {
+    writeStorage(EMBEDDING_KEY_SESSION_KEY, apiKey, "sessionStorage");
+  }
+}
+
+// ---- Duplicate detection ----
+
+// Ideas at least this similar are treated as likely duplicates.
+const DUPLICATE_SIMILARITY = 0.75;
+
+// Existing ideas whose vectors are close to `vector`, most similar first.
+function findSimilarIdeas(vector, ideas, ideaVectors, cutoff = DUPLICATE_SIMILARITY) {
+  if (!vector) return [];
+  return ideas
+    .map((idea) => ({
+      idea,
+      similarity: cosineSimilarity(vector, ideaVectors[idea.id])
+    }))
+    .filter((match) => match.similarity >= cutoff)
+    .sort((a, b) => b.similarity - a.similarity);
 }
 
-function vectorize(text, vocab) {
-  const vec = new Array(vocab.size).fill(0);
-  const tokens = tokenize(text);
-  tokens.forEach((word) => {
-    const idx = vocab.get(word);
-    if (idx !== undefined) {
-      vec[idx] += 1;
+// Groups of two or more ideas linked by pairwise similarity above the
+// cutoff (connected components). The first id of each group is the idea
+// that was added earliest, which is the natural one to keep.
+function findDuplicateGroups(ideas, ideaVectors, cutoff = DUPLICATE_SIMILARITY) {
+  const withVectors = ideas.filter((idea) => ideaVectors[idea.id]);
+  const parent = withVectors.map((_, idx) => idx);
+  const root = (idx) => (parent[idx] === idx ? idx : (parent[idx] = root(parent[idx])));
+  const best = {};
+
+  for (let i = 0; i < withVectors.length; i++) {
+    for (let j = i + 1; j < withVectors.length; j++) {
+      const s = cosineSimilarity(
+        ideaVectors[withVectors[i].id],
+        ideaVectors[withVectors[j].id]
+      );
+      if (s < cutoff) continue;
+      const a = root(i);
+      const b = root(j);
+      if (a !== b) parent[Math.max(a, b)] = Math.min(a, b);
+      const r = root(i);
+      best[r] = Math.max(best[r] || 0, best[a] || 0, best[b] || 0, s);
     }
+  }
+
+  const groups = {};
+  withVectors.forEach((idea, idx) => {
+    const r = root(idx);
+    (groups[r] = groups[r] || []).push(idea.id);
   });
-  return vec;
+  return Object.keys(groups)
+    .filter((r) => groups[r].length > 1)
+    .map((r) => ({ ideaIds: groups[r], similarity: best[r] }))
+    .sort((a, b) => b.similarity - a.similarity);
 }
 
-function cosineSimilarity(a, b) {
-  if (!a || !b || a.length !== b.length) return 0;
-  let dot = 0;
-  let normA = 0;
-  let normB = 0;
-  for (let i = 0; i < a.length; i++) {
-    const va = a[i];
-    const vb = b[i];
-    dot += va * vb;
-    normA += va * va;
-    normB += vb * vb;
-  }
-  if (normA === 0 || normB === 0) return 0;
-  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+function addCoAuthors(idea, names) {
+  const coAuthors = (idea.coAuthors || []).slice();
+  names.forEach((name) => {
+    // Anonymous +1s are all kept; named people count once per idea.
+    const known = name === idea.author || coAuthors.includes(name);
+    if (name && (name === "Anonymous" || !known)) {
+      coAuthors.push(name);
+    }
+  });
+  return { ...idea, coAuthors };
 }
 
-function capitalize(word) {
-  if (!word) return "";
-  return word.charAt(0).toUpperCase() + word.slice(1);
+// Folds `duplicateIds` into `primaryId` as "+1"s: their authors (and
+// co-authors) are recorded on the kept idea and the duplicates are removed.
+// Their tags, and field values the kept idea has no value for, carry over,
+// as does a prompt when the kept idea is free-floating.
+function mergeDuplicateIdeas(ideas, primaryId, duplicateIds) {
+  const drop = new Set(duplicateIds.filter((id) => id !== primaryId));
+  const names = [];
+  const tags = [];
+  let fields = {};
+  let promptId = null;
+  ideas.forEach((idea) => {
+    if (!drop.has(idea.id)) return;
+    names.push(idea.author, ...(idea.coAuthors || []));
+    tags.push(...(idea.tags || []));
+    fields = { ...idea.fields, ...fields };
+    promptId = promptId || idea.promptId || null;
+  });
+  return ideas
+    .filter((idea) => !drop.has(idea.id))
+    .map((idea) =>
+      idea.id === primaryId
+        ? {
+            ...addCoAuthors(idea, names),
+            tags: normalizeTags([...(idea.tags || []), ...tags]),
+            fields: { ...fields, ...idea.fields },
+            promptId: idea.promptId || promptId
+          }
+        : idea
+    );
 }
 
-function extractTopKeywords(texts, maxWords) {
-  const freq = new Map();
-  texts.forEach((t) => {
-    tokenize(t).forEach((word) => {
-      freq.set(word, (freq.get(word) || 0) + 1);
+// ---- Dot voting ----
+
+// The voting state a board stores is described with DEFAULT_VOTING in
+// board.js.
+
+function voteTotals(voting, ideas) {
+  const totals = {};
+  ideas.forEach((idea) => (totals[idea.id] = 0));
+  Object.values(voting.votes).forEach((ballot) => {
+    Object.keys(ballot).forEach((ideaId) => {
+      if (ideaId in totals) totals[ideaId] += ballot[ideaId];
     });
   });
-  const sorted = Array.from(freq.entries()).sort((a, b) => b[1] - a[1]);
-  return sorted.slice(0, maxWords).map(([w]) => capitalize(w));
+  return totals;
 }
 
-// ---- Clustering & novelty ----
+function votesUsedBy(voting, voter, ideas) {
+  const ballot = voting.votes[voter] || {};
+  return ideas.reduce((acc, idea) => acc + (ballot[idea.id] || 0), 0);
+}
 
-function clusterIdeas(ideas, ideaVectors) {
-  const clusters = [];
-  const centroids = [];
-  const threshold = 0.35; // similarity threshold to join an existing cluster
+// Adds (delta = 1) or removes (delta = -1) one of `voter`'s dots. Returns
+// the voting state unchanged when the move would break a limit.
+function castVote(voting, voter, ideaId, delta, ideas) {
+  if (voting.status !== "open" || !voter) return voting;
+  const ballot = voting.votes[voter] || {};
+  const current = ballot[ideaId] || 0;
+  const next = current + delta;
+  if (next < 0 || next > voting.maxPerIdea) return voting;
+  if (delta > 0 && votesUsedBy(voting, voter, ideas) >= voting.votesPerPerson) {
+    return voting;
+  }
+  const nextBallot = { ...ballot, [ideaId]: next };
+  if (next === 0) delete nextBallot[ideaId];
+  return { ...voting, votes: { ...voting.votes, [voter]: nextBallot } };
+}
 
-  ideas.forEach((idea) => {
-    const vec = ideaVectors[idea.id];
-    if (!vec) return;
-
-    if (clusters.length === 0) {
-      clusters.push({
-        id: "c1",
-        ideaIds: [idea.id],
-        primaryName: "",
-        keywords: []
-      });
-      centroids.push(vec.slice());
-      return;
+function talliesVisible(voting) {
+  return voting.status === "closed" || (voting.status === "open" && !voting.hideTallies);
+}
+
+// Orders ideas for the "top ideas" list. `mode` is "novelty", "votes" or
+// "combined" (votes first, novelty as tie-breaker).
+function rankIdeas(ideas, noveltyById, totals, mode) {
+  const novelty = (idea) => noveltyById[idea.id] || 0;
+  const votes = (idea) => (totals && totals[idea.id]) || 0;
+  const compare = {
+    novelty: (a, b) => novelty(b) - novelty(a),
+    votes: (a, b) => votes(b) - votes(a),
+    combined: (a, b) => votes(b) - votes(a) || novelty(b) - novelty(a)
+  }[mode];
+  return ideas.slice().sort(compare || ((a, b) => novelty(b) - novelty(a)));
+}
+
+const PRIORITY_QUADRANTS = {
+  quickWins: { label: "Quick wins", hint: "popular, familiar" },
+  bigBets: { label: "Big bets", hint: "popular and bold" },
+  moonshots: { label: "Moonshots", hint: "bold, few votes so far" },
+  parkingLot: { label: "Parking lot", hint: "neither popular nor new" }
+};
+
+// Places an idea in the 2×2 of votes against novelty. Ideas with at least
+// half the top vote count are "popular"; novelty splits at 50.
+function priorityQuadrant(votes, novelty, maxVotes) {
+  const popular = maxVotes > 0 && votes >= Math.max(1, maxVotes / 2);
+  const bold = novelty >= 50;
+  if (popular) return bold ? "bigBets" : "quickWins";
+  return bold ? "moonshots" : "parkingLot";
+}
+
+// ---- Timed rounds ----
+
+// The session a board stores is described with DEFAULT_SESSION in board.js.
+
+// Random like field ids: ideas from other browsers in a live session carry
+// the ids of their own rounds, which must not match one of ours.
+function createRoundId() {
+  return "r" + Date.now().toString(36) + Math.random().toString(36).slice(2, 5);
+}
+
+function startRound(session, planIndex, now = new Date()) {
+  const round = session.plan[planIndex];
+  if (!round) return session;
+  const ended = endRound(session, now.toISOString());
+  return {
+    ...ended,
+    locked: false,
+    current: {
+      id: createRoundId(),
+      name: round.name,
+      startedAt: now.toISOString(),
+      endsAt: new Date(now.getTime() + round.minutes * 60000).toISOString()
     }
+  };
+}
 
-    let bestIdx = -1;
-    let bestSim = -1;
-    for (let i = 0; i < centroids.length; i++) {
-      const sim = cosineSimilarity(vec, centroids[i]);
-      if (sim > bestSim) {
-        bestSim = sim;
-        bestIdx = i;
+function endRound(session, endedAt = new Date().toISOString()) {
+  if (!session.current) return session;
+  return {
+    ...session,
+    current: null,
+    locked: session.lockOnEnd,
+    runs: [
+      ...session.runs,
+      {
+        id: session.current.id,
+        name: session.current.name,
+        startedAt: session.current.startedAt,
+        endedAt
       }
-    }
+    ]
+  };
+}
 
-    if (bestSim >= threshold) {
-      const cluster = clusters[bestIdx];
-      cluster.ideaIds.push(idea.id);
+function extendRound(session, minutes) {
+  if (!session.current) return session;
+  const endsAt = new Date(Date.parse(session.current.endsAt) + minutes * 60000);
+  return { ...session, current: { ...session.current, endsAt: endsAt.toISOString() } };
+}
 
-      // recompute centroid
-      const newCentroid = new Array(vec.length).fill(0);
-      cluster.ideaIds.forEach((id) => {
-        const v = ideaVectors[id];
-        if (!v) return;
-        for (let d = 0; d < newCentroid.length; d++) {
-          newCentroid[d] += v[d];
-        }
-      });
-      for (let d = 0; d < newCentroid.length; d++) {
-        newCentroid[d] /= cluster.ideaIds.length;
-      }
-      centroids[bestIdx] = newCentroid;
-    } else {
-      const clusterId = "c" + (clusters.length + 1);
-      clusters.push({
-        id: clusterId,
-        ideaIds: [idea.id],
-        primaryName: "",
-        keywords: []
-      });
-      centroids.push(vec.slice());
+// The plan entry to offer next: the one after the last round run, wrapping
+// back to the start once the plan is used up.
+function nextPlanIndex(session) {
+  return session.plan.length ? session.runs.length % session.plan.length : -1;
+}
+
+// Finished rounds followed by the one in progress (with endedAt null).
+function sessionRounds(session) {
+  const rounds = session.runs.slice();
+  if (session.current) rounds.push({ ...session.current, endedAt: null });
+  return rounds;
+}
+
+// Index into sessionRounds(session) of the round an idea was created in, or
+// -1 when it was added between or outside rounds. The round recorded on the
+// idea wins, since the author's clock may disagree with the facilitator's;
+// ideas from before rounds were recorded, or from a browser that is not
+// running the session, fall back to their createdAt.
+function roundIndexFor(idea, rounds) {
+  if (idea.roundId) {
+    const idx = rounds.findIndex((round) => round.id === idea.roundId);
+    if (idx >= 0) return idx;
+  }
+  return rounds.findIndex(
+    (round) =>
+      idea.createdAt >= round.startedAt &&
+      (round.endedAt === null || idea.createdAt < round.endedAt)
+  );
+}
+
+// Per-round idea count, average novelty and new themes. A theme counts as
+// new in the round that produced its earliest idea.
+function roundStats(ideas, clusters, noveltyById, session) {
+  const rounds = sessionRounds(session);
+  const rows = rounds.map((round) => ({
+    name: round.name,
+    live: round.endedAt === null,
+    ideaIds: [],
+    newThemes: 0
+  }));
+  const outside = { name: "Outside rounds", live: false, ideaIds: [], newThemes: 0 };
+  const roundOf = {};
+  ideas.forEach((idea) => {
+    const idx = roundIndexFor(idea, rounds);
+    roundOf[idea.id] = idx;
+    (idx >= 0 ? rows[idx] : outside).ideaIds.push(idea.id);
+  });
+
+  const byId = {};
+  ideas.forEach((idea) => (byId[idea.id] = idea));
+  clusters.forEach((cluster) => {
+    const first = cluster.ideaIds
+      .map((id) => byId[id])
+      .filter(Boolean)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+    if (!first) return;
+    const idx = roundOf[first.id];
+    (idx >= 0 ? rows[idx] : outside).newThemes += 1;
+  });
+
+  if (outside.ideaIds.length) rows.push(outside);
+  return rows.map(({ ideaIds, ...row }) => {
+    const scores = ideaIds
+      .map((id) => noveltyById[id])
+      .filter((score) => typeof score === "number");
+    return {
+      ...row,
+      ideaCount: ideaIds.length,
+      avgNovelty: scores.length
+        ? scores.reduce((a, b) => a + b, 0) / scores.length
+        : null
+    };
+  });
+}
+
+function formatCountdown(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(total / 60);
+  const seconds = total % 60;
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+}
+
+// ---- Participants ----
+
+// A theme counts as dominated once it has DOMINANCE_MIN_IDEAS ideas and one
+// author wrote DOMINANCE_ONE of them, or two authors DOMINANCE_TWO, while
+// more people than that are contributing to the board.
+const DOMINANCE_MIN_IDEAS = 4;
+const DOMINANCE_ONE = 0.6;
+const DOMINANCE_TWO = 0.85;
+
+// Per-author breakdown, most ideas first. `plusOnes` counts ideas a person
+// seconded when duplicates were merged. `overlap` says how close their ideas
+// sit to other people's: for each idea, the similarity of the most similar
+// idea anyone else wrote (0 when nobody else has written one), averaged over
+// the author's ideas.
+function participantStats(ideas, clusters, noveltyById, nearestOtherAuthor) {
+  const authorOf = {};
+  ideas.forEach((idea) => (authorOf[idea.id] = idea.author));
+  const themeOf = themeByIdeaId(clusters);
+  const rows = new Map();
+  const rowFor = (name) => {
+    if (!rows.has(name)) {
+      rows.set(name, { name, ideaIds: [], plusOnes: 0, themeIds: new Set() });
     }
+    return rows.get(name);
+  };
+  ideas.forEach((idea) => {
+    const row = rowFor(idea.author);
+    row.ideaIds.push(idea.id);
+    if (themeOf[idea.id]) row.themeIds.add(themeOf[idea.id].id);
+    (idea.coAuthors || []).forEach((name) => (rowFor(name).plusOnes += 1));
+  });
+
+  const mean = (values) =>
+    values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  return [...rows.values()]
+    .map(({ ideaIds, themeIds, ...row }) => {
+      const scores = ideaIds
+        .map((id) => noveltyById[id])
+        .filter((score) => typeof score === "number");
+      const overlaps = ideaIds
+        .filter((id) => id in nearestOtherAuthor)
+        .map((id) => {
+          const other = nearestOtherAuthor[id];
+          if (!other || !(other.id in authorOf)) return 0;
+          return Math.max(0, other.similarity);
+        });
+      return {
+        ...row,
+        ideaCount: ideaIds.length,
+        avgNovelty: mean(scores),
+        themeCount: themeIds.size,
+        overlap: mean(overlaps)
+      };
+    })
+    .sort((a, b) => b.ideaCount - a.ideaCount || a.name.localeCompare(b.name));
+}
+
+// Board-wide balance of voices. `effectiveVoices` is the exponential of the
+// Shannon entropy of ideas per author: it equals `authorCount` when everyone
+// wrote the same number of ideas and falls towards 1 as one voice takes over.
+// `dominated` lists the themes led by one or two voices.
+function voiceDiversity(ideas, clusters) {
+  const counts = new Map();
+  const byId = {};
+  ideas.forEach((idea) => {
+    counts.set(idea.author, (counts.get(idea.author) || 0) + 1);
+    byId[idea.id] = idea;
+  });
+  let entropy = 0;
+  counts.forEach((count) => {
+    const p = count / ideas.length;
+    entropy -= p * Math.log(p);
   });
+  const authorCount = counts.size;
 
-  // assign names & keywords
-  clusters.forEach((cluster, idx) => {
-    const texts = cluster.ideaIds.map((id) => {
-      const idea = ideas.find((i) => i.id === id);
-      return idea ? idea.text : "";
+  const dominated = [];
+  clusters.forEach((cluster) => {
+    const members = cluster.ideaIds.map((id) => byId[id]).filter(Boolean);
+    if (members.length < DOMINANCE_MIN_IDEAS) return;
+    const tally = new Map();
+    members.forEach((idea) => tally.set(idea.author, (tally.get(idea.author) || 0) + 1));
+    const ranked = [...tally.entries()].sort(
+      (a, b) => b[1] - a[1] || a[0].localeCompare(b[0])
+    );
+    const share = (n) =>
+      ranked.slice(0, n).reduce((sum, [, count]) => sum + count, 0) / members.length;
+    let leaders = 0;
+    if (authorCount > 1 && share(1) >= DOMINANCE_ONE) leaders = 1;
+    else if (authorCount > 2 && share(2) >= DOMINANCE_TWO) leaders = 2;
+    if (leaders === 0) return;
+    dominated.push({
+      clusterId: cluster.id,
+      name: cluster.primaryName,
+      voices: ranked.slice(0, leaders).map(([name]) => name),
+      voiceIdeas: Math.round(share(leaders) * members.length),
+      ideaCount: members.length
     });
-    const keywords = extractTopKeywords(texts, 3);
-    cluster.keywords = keywords;
-    cluster.primaryName = keywords.length
-      ? keywords.join(" · ")
-      : `Theme ${idx + 1}`;
   });
 
-  return clusters;
+  return {
+    authorCount,
+    effectiveVoices: ideas.length ? Math.exp(entropy) : null,
+    dominated
+  };
 }
 
-function computeNoveltyScores(ideas, ideaVectors, problemVector, hasProblem) {
-  const scores = {};
-  const details = {};
-  const combinedMap = {};
+// ---- Theme curation ----
 
-  if (ideas.length === 0) {
-    return {
-      scores,
-      details,
-      stats: { avgNovelty: null, maxNovelty: null }
-    };
-  }
+// A board's curation is { themes: [{ id, name, pinnedIds }], nextThemeId }.
+// Every edit below returns a new curation object; automatic clusters are
+// "adopted" (turned into a manual theme pinning their current ideas) the
+// first time a facilitator changes them.
+
+function pruneCuration(curation) {
+  return {
+    ...curation,
+    themes: curation.themes.filter((theme) => theme.pinnedIds.length > 0)
+  };
+}
+
+function unpinIdeas(curation, ideaIds) {
+  const drop = new Set(ideaIds);
+  return {
+    ...curation,
+    themes: curation.themes.map((theme) => ({
+      ...theme,
+      pinnedIds: theme.pinnedIds.filter((id) => !drop.has(id))
+    }))
+  };
+}
 
-  const idList = ideas.map((i) => i.id);
-  let minCombined = null;
-  let maxCombined = null;
+function addTheme(curation, fields) {
+  const theme = {
+    id: "t" + curation.nextThemeId,
+    name: null,
+    pinnedIds: [],
+    ...fields
+  };
+  return {
+    curation: {
+      themes: [...curation.themes, theme],
+      nextThemeId: curation.nextThemeId + 1
+    },
+    themeId: theme.id
+  };
+}
 
-  idList.forEach((id) => {
-    const vec = ideaVectors[id];
-    if (!vec) return;
+// Ensures `cluster` is backed by a manual theme and returns its id.
+function adoptCluster(curation, cluster) {
+  if (cluster.manual) {
+    return { curation, themeId: cluster.id };
+  }
+  return addTheme(unpinIdeas(curation, cluster.ideaIds), {
+    pinnedIds: cluster.ideaIds.slice()
+  });
+}
 
-    const relevance = hasProblem
-      ? Math.max(0, Math.min(1, cosineSimilarity(vec, problemVector)))
-      : 1;
+function updateTheme(curation, themeId, update) {
+  return {
+    ...curation,
+    themes: curation.themes.map((theme) =>
+      theme.id === themeId ? { ...theme, ...update(theme) } : theme
+    )
+  };
+}
 
-    const sims = [];
-    idList.forEach((otherId) => {
-      if (otherId === id) return;
-      const otherVec = ideaVectors[otherId];
-      if (!otherVec) return;
-      const s = cosineSimilarity(vec, otherVec);
-      sims.push(s);
-    });
+// Moves (and pins) an idea into `target`, or into a new theme of its own when
+// `target` is null.
+function moveIdeaToCluster(curation, ideaId, target) {
+  const base = unpinIdeas(curation, [ideaId]);
+  if (!target) {
+    return pruneCuration(addTheme(base, { pinnedIds: [ideaId] }).curation);
+  }
+  const adopted = adoptCluster(base, { ...target, ideaIds: target.ideaIds.filter((id) => id !== ideaId) });
+  return pruneCuration(
+    updateTheme(adopted.curation, adopted.themeId, (theme) => ({
+      pinnedIds: [...theme.pinnedIds, ideaId]
+    }))
+  );
+}
 
-    let meanNeighborSim;
-    if (sims.length === 0) {
-      meanNeighborSim = 0.5;
-    } else {
-      sims.sort((a, b) => b - a);
-      const k = Math.min(3, sims.length);
-      const top = sims.slice(0, k);
-      const sum = top.reduce((acc, x) => acc + x, 0);
-      meanNeighborSim = sum / k;
-    }
-
-    const rawNovelty = 1 - meanNeighborSim;
-    const combined = rawNovelty * relevance;
-
-    combinedMap[id] = combined;
-    details[id] = {
-      relevance,
-      meanNeighborSim,
-      rawNovelty,
-      combined
-    };
+function renameCluster(curation, cluster, name) {
+  const adopted = adoptCluster(curation, cluster);
+  return updateTheme(adopted.curation, adopted.themeId, () => ({
+    name: name || null
+  }));
+}
 
-    if (minCombined === null || combined < minCombined) {
-      minCombined = combined;
-    }
-    if (maxCombined === null || combined > maxCombined) {
-      maxCombined = combined;
-    }
+function mergeClusters(curation, source, target) {
+  const adopted = adoptCluster(
+    curation.themes.some((theme) => theme.id === source.id)
+      ? { ...curation, themes: curation.themes.filter((theme) => theme.id !== source.id) }
+      : curation,
+    target
+  );
+  const moved = unpinIdeas(adopted.curation, source.ideaIds);
+  return pruneCuration(
+    updateTheme(moved, adopted.themeId, (theme) => ({
+      pinnedIds: [...theme.pinnedIds, ...source.ideaIds]
+    }))
+  );
+}
+
+// Replaces `cluster` with one manual theme per group of idea ids. The first
+// group keeps the theme's id and name.
+function splitCluster(curation, cluster, groups) {
+  const adopted = adoptCluster(curation, cluster);
+  let next = updateTheme(
+    unpinIdeas(adopted.curation, cluster.ideaIds),
+    adopted.themeId,
+    () => ({ pinnedIds: groups[0].slice() })
+  );
+  groups.slice(1).forEach((ids) => {
+    next = addTheme(next, { pinnedIds: ids.slice() }).curation;
   });
+  return pruneCuration(next);
+}
 
-  let sumScores = 0;
-  let count = 0;
-  Object.keys(combinedMap).forEach((id) => {
-    const combined = combinedMap[id];
-    let score;
-    if (maxCombined === minCombined) {
-      score = 50;
-    } else {
-      score = 100 * (combined - minCombined) / (maxCombined - minCombined);
-    }
-    const rounded = Math.round(score);
-    scores[id] = rounded;
-    sumScores += score;
-    count += 1;
+function togglePinIdea(curation, cluster, ideaId) {
+  if (cluster.pinnedIds.includes(ideaId)) {
+    return pruneCuration(unpinIdeas(curation, [ideaId]));
+  }
+  if (cluster.manual) {
+    return updateTheme(unpinIdeas(curation, [ideaId]), cluster.id, (theme) => ({
+      pinnedIds: [...theme.pinnedIds, ideaId]
+    }));
+  }
+  return addTheme(unpinIdeas(curation, [ideaId]), { pinnedIds: [ideaId] }).curation;
+}
+
+function releaseCluster(curation, cluster) {
+  return {
+    ...curation,
+    themes: curation.themes.filter((theme) => theme.id !== cluster.id)
+  };
+}
+
+// ---- Novelty ----
+
+// The badge bands and the standout score are in board.js.
+
+function noveltyLevel(score, bands = NOVELTY_BANDS) {
+  const band = bands.find((b) => score >= b.min) || bands[bands.length - 1];
+  return { level: band.level, label: band.label };
+}
+
+// Distinct non-stop words of `text`, keyed by the term the model sees (the
+// stem when stemming applies) and keeping the first spelling used.
+function surfaceTerms(text, { stemming, language, ignoredWords = [] } = {}) {
+  const resolved = resolveLanguage(text, language);
+  const stopWords = stopWordsFor(resolved);
+  const terms = new Map();
+  splitWords(text, resolved).forEach((word) => {
+    if (stopWords.has(word) || ignoredWords.includes(word)) return;
+    const term = stemming && resolved === "en" ? stemWord(word) : word;
+    if (!terms.has(term)) terms.set(term, word);
   });
+  return terms;
+}
 
-  const avgNovelty = count ? sumScores / count : null;
-  const maxNovelty = count
-    ? Math.max(...Object.values(scores))
-    : null;
+// Everything behind one idea's novelty score, for the explanation panel:
+// its nearest neighbours, the words it shares with the problem statement or
+// the prompt its relevance was measured against, its relevance to each
+// prompt, the words no other idea on the board uses, and the min–max
+// rescaling.
+function explainNovelty(
+  ideaId,
+  ideas,
+  problemStatement,
+  analysis,
+  termOptions = {},
+  prompts = []
+) {
+  const idea = ideas.find((i) => i.id === ideaId);
+  const detail = analysis.noveltyDetails[ideaId];
+  if (!idea || !detail) return null;
+
+  const byId = {};
+  ideas.forEach((i) => (byId[i.id] = i));
+  const topicPrompt = prompts.find((prompt) => prompt.id === detail.relevanceSource);
+  const terms = surfaceTerms(idea.text, termOptions);
+  const problemTerms = surfaceTerms(
+    topicPrompt ? topicPrompt.text : problemStatement,
+    termOptions
+  );
+  const elsewhere = new Set();
+  ideas.forEach((other) => {
+    if (other.id === ideaId) return;
+    surfaceTerms(other.text, termOptions).forEach((_, term) => elsewhere.add(term));
+  });
 
+  const scale = analysis.noveltyScale;
   return {
-    scores,
-    details,
-    stats: { avgNovelty, maxNovelty }
+    ...detail,
+    idea,
+    score: analysis.noveltyById[ideaId],
+    scoring: analysis.scoring,
+    hasProblem: Boolean(detail.relevanceSource),
+    topic: topicPrompt
+      ? `prompt ${promptLabel(prompts, topicPrompt.id)}`
+      : "the problem statement",
+    prompts: prompts
+      .filter((prompt) => detail.promptRelevance && prompt.id in detail.promptRelevance)
+      .map((prompt) => ({
+        prompt,
+        label: promptLabel(prompts, prompt.id),
+        relevance: detail.promptRelevance[prompt.id]
+      })),
+    language: resolveLanguage(idea.text, termOptions.language),
+    languageDetected: !LANGUAGES[termOptions.language],
+    neighbors: detail.neighbors
+      .filter((n) => byId[n.id])
+      .map((n) => ({ idea: byId[n.id], similarity: n.similarity })),
+    sharedTerms: [...terms].filter(([term]) => problemTerms.has(term)).map(([, word]) => word),
+    uniqueTerms: [...terms].filter(([term]) => !elsewhere.has(term)).map(([, word]) => word),
+    scaleMin: scale ? scale.min : null,
+    scaleMax: scale ? scale.max : null
   };
 }
 
-function computeAnalysis(problemStatement, ideas) {
-  if (!ideas || ideas.length === 0) {
+// Per-idea score history: scoreHistory[ideaId] = [{ at, relative, absolute }].
+// A point is added whenever either score changes. Changes that follow the
+// previous point within SCORE_HISTORY_COALESCE_MS replace it, so a burst of
+// edits leaves one point rather than many.
+const SCORE_HISTORY_LIMIT = 40;
+const SCORE_HISTORY_COALESCE_MS = 5000;
+
+function recordScoreHistory(history, ideas, noveltyByMode, now = new Date()) {
+  const next = {};
+  let changed = false;
+  ideas.forEach((idea) => {
+    const points = history[idea.id] || [];
+    const relative = noveltyByMode.relative[idea.id];
+    const absolute = noveltyByMode.absolute[idea.id];
+    const last = points[points.length - 1];
+    if (
+      typeof relative !== "number" ||
+      (last && last.relative === relative && last.absolute === absolute)
+    ) {
+      if (points.length) next[idea.id] = points;
+      return;
+    }
+    const coalesce =
+      points.length > 1 && now - Date.parse(last.at) < SCORE_HISTORY_COALESCE_MS;
+    next[idea.id] = [
+      ...(coalesce ? points.slice(0, -1) : points),
+      { at: now.toISOString(), relative, absolute }
+    ].slice(-SCORE_HISTORY_LIMIT);
+    changed = true;
+  });
+  // History of deleted ideas is dropped.
+  if (Object.keys(history).some((id) => !(id in next))) changed = true;
+  return changed ? next : history;
+}
+
+// ---- Prompts ----
+
+// A board can break its problem statement down into "How might we…"
+// prompts, [{ id, text }]. An idea is attached to at most one of them through
+// `promptId` (null leaves it free-floating), but the analysis measures its
+// relevance to every prompt, so it can serve several: the one it is attached
+// to and any it is at least PROMPT_SERVES similar to.
+const PROMPT_SERVES = 0.15;
+// Prompts served by fewer ideas than this are flagged as thin.
+const PROMPT_FEW_IDEAS = 3;
+
+// Random ids for the same reason as field ids: prompts added on two
+// browsers at once must not collide.
+function addPrompt(prompts, text) {
+  const id = "p" + Date.now().toString(36) + Math.random().toString(36).slice(2, 5);
+  return normalizePrompts([...prompts, { id, text }]);
+}
+
+function promptLabel(prompts, promptId) {
+  const index = prompts.findIndex((prompt) => prompt.id === promptId);
+  return index === -1 ? null : `Q${index + 1}`;
+}
+
+// Ids of the prompts `idea` serves, in board order.
+function servedPromptIds(idea, prompts, noveltyDetails) {
+  const detail = noveltyDetails[idea.id];
+  const relevance = (detail && detail.promptRelevance) || {};
+  return prompts
+    .filter(
+      (prompt) => prompt.id === idea.promptId || (relevance[prompt.id] || 0) >= PROMPT_SERVES
+    )
+    .map((prompt) => prompt.id);
+}
+
+// One row per prompt for the Insights column: the ideas attached to it and
+// serving it, their mean relevance to it and mean novelty, and whether it
+// got no ideas, few ideas or only weak (lowest band) ones.
+function promptCoverage(ideas, prompts, analysis, bands = NOVELTY_BANDS) {
+  const served = {};
+  prompts.forEach((prompt) => (served[prompt.id] = []));
+  ideas.forEach((idea) =>
+    servedPromptIds(idea, prompts, analysis.noveltyDetails).forEach((id) =>
+      served[id].push(idea)
+    )
+  );
+  const mean = (values) =>
+    values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+  return prompts.map((prompt, index) => {
+    const serving = served[prompt.id];
+    const avgRelevance = mean(
+      serving
+        .map((idea) => {
+          const detail = analysis.noveltyDetails[idea.id];
+          return detail && detail.promptRelevance ? detail.promptRelevance[prompt.id] : null;
+        })
+        .filter((value) => typeof value === "number")
+    );
+    const avgNovelty = mean(
+      serving
+        .map((idea) => analysis.noveltyById[idea.id])
+        .filter((score) => typeof score === "number")
+    );
+    let status = "ok";
+    if (serving.length === 0) status = "none";
+    else if (serving.length < PROMPT_FEW_IDEAS) status = "few";
+    else if (avgNovelty != null && noveltyLevel(avgNovelty, bands).level === "low") {
+      status = "weak";
+    }
     return {
-      vocab: null,
-      problemVector: null,
-      ideaVectors: {},
-      clusters: [],
-      noveltyById: {},
-      stats: { avgNovelty: null, maxNovelty: null },
-      topIdeas: []
+      prompt,
+      label: `Q${index + 1}`,
+      attached: ideas.filter((idea) => idea.promptId === prompt.id).length,
+      serving: serving.length,
+      avgRelevance,
+      avgNovelty,
+      status
     };
+  });
+}
+
+// ---- Unexplored angles ----
+
+// Themes with this many ideas or fewer are flagged as thin, once the board
+// has more than one theme.
+const THIN_THEME_MAX = 2;
+const STARTER_LIMIT = 4;
+// Question scaffolding ("How might we reduce…") that says nothing about the
+// topic, so it is never reported as a word no idea addresses.
+const QUESTION_WORDS = new Set([
+  "how", "might", "what", "why", "when", "where", "who", "which", "could",
+  "would", "should", "can", "make", "more", "less", "get", "better", "reduce",
+  "increase", "improve", "help", "encourage", "keep", "stop", "avoid"
+]);
+
+// Technique library for idea starters. Each move turns an angle, a word or
+// theme the board has not explored much, into a question to diverge on.
+const IDEA_TECHNIQUES = {
+  scamper: {
+    label: "SCAMPER",
+    moves: [
+      {
+        name: "Substitute",
+        template: (a) => `What could replace the usual way of handling ${a}?`
+      },
+      {
+        name: "Combine",
+        template: (a) =>
+          `What if ${a} were combined with something people already do every day?`
+      },
+      {
+        name: "Adapt",
+        template: (a) =>
+          `Which idea from another industry could we adapt for ${a}?`
+      },
+      {
+        name: "Modify",
+        template: (a) =>
+          `What if ${a} were ten times bigger, or ten times smaller?`
+      },
+      {
+        name: "Put to other use",
+        template: (a) => `Who else could ${a} be useful for?`
+      },
+      {
+        name: "Eliminate",
+        template: (a) => `What would ${a} look like with a step taken away?`
+      },
+      {
+        name: "Reverse",
+        template: (a) => `What if ${a} happened in the opposite order?`
+      }
+    ]
+  },
+  reverse: {
+    label: "Reverse brainstorming",
+    moves: [
+      {
+        name: "Make it worse",
+        template: (a) =>
+          `How could we make ${a} as bad as possible? Now flip each answer.`
+      },
+      {
+        name: "Guarantee failure",
+        template: (a) => `What would make sure nobody ever cares about ${a}?`
+      },
+      {
+        name: "Remove it",
+        template: (a) => `What breaks if ${a} disappears completely?`
+      }
+    ]
+  },
+  persona: {
+    label: "What would X do?",
+    moves: [
+      "a game designer",
+      "a luxury hotel",
+      "a five-year-old",
+      "a budget airline",
+      "a librarian"
+    ].map((who) => ({
+      name: capitalize(who),
+      template: (a) => `What would ${who} do about ${a}?`
+    }))
+  }
+};
+
+// Every term the ideas use, keyed like surfaceTerms.
+function coveredTerms(ideas, termOptions) {
+  const covered = new Set();
+  ideas.forEach((idea) =>
+    surfaceTerms(idea.text, termOptions).forEach((_, term) => covered.add(term))
+  );
+  return covered;
+}
+
+// What the board has not explored yet: words of the problem statement that
+// no idea uses (`covered` holds the terms the ideas do use), and themes with
+// only one or two ideas. Prompts have their own coverage panel.
+function findCoverageGaps(problemStatement, covered, clusters, termOptions) {
+  const missingTerms = [];
+  surfaceTerms(problemStatement, termOptions).forEach((word, term) => {
+    if (QUESTION_WORDS.has(word) || /^\d+$/.test(word) || covered.has(term)) return;
+    missingTerms.push({ term, word });
+  });
+
+  const thinThemes =
+    clusters.length > 1
+      ? clusters
+          .filter((cluster) => cluster.ideaIds.length <= THIN_THEME_MAX)
+          .map((cluster) => ({
+            id: cluster.id,
+            name: cluster.primaryName,
+            ideaCount: cluster.ideaIds.length,
+            angle:
+              cluster.customName ||
+              cluster.keywords.slice(0, 2).join(" ").toLocaleLowerCase() ||
+              cluster.primaryName
+          }))
+      : [];
+  return { missingTerms, thinThemes };
+}
+
+// Up to STARTER_LIMIT starter cards for the gaps, from one technique or
+// (technique "all") taking turns between them. Each `round` deals the next
+// cards, so the group can ask for more.
+function ideaStarters(gaps, technique, round = 0) {
+  const angles = [
+    ...gaps.missingTerms.map((gap) => ({ label: gap.word, from: "the problem statement" })),
+    ...gaps.thinThemes.map((gap) => ({
+      label: gap.angle,
+      from: `the thin theme “${gap.name}”`
+    }))
+  ];
+  if (angles.length === 0) angles.push({ label: "the problem", from: null });
+  const keys = IDEA_TECHNIQUES[technique] ? [technique] : Object.keys(IDEA_TECHNIQUES);
+
+  const cards = [];
+  for (let i = 0; i < STARTER_LIMIT; i++) {
+    const step = round * STARTER_LIMIT + i;
+    const angle = angles[step % angles.length];
+    const key = keys[step % keys.length];
+    const { moves } = IDEA_TECHNIQUES[key];
+    const move = moves[Math.floor(step / keys.length) % moves.length];
+    const id = `${key}:${move.name}:${angle.label}`;
+    if (cards.some((card) => card.id === id)) continue;
+    cards.push({
+      id,
+      technique: IDEA_TECHNIQUES[key].label,
+      move: move.name,
+      angle,
+      text: move.template(angle.label)
+    });
   }
+  return cards;
+}
+
+// ---- Tags & custom fields ----
 
-  const hasProblemTokens = tokenize(problemStatement).length > 0;
-  const texts = [];
+// The stored shapes, and the helpers that clean them up, are in board.js.
 
-  if (hasProblemTokens) {
-    texts.push(problemStatement);
+// Field ids are random rather than counted, so fields added by two people in
+// a live session at the same time cannot collide.
+function addFieldDef(defs, { name, type, options }) {
+  const id = "f" + Date.now().toString(36) + Math.random().toString(36).slice(2, 5);
+  return normalizeFieldDefs([...defs, { id, name, type, options }]);
+}
+
+// The value an idea keeps for `def`, or undefined when `value` is empty or
+// does not fit the field (enum choices match ignoring case).
+function fieldValue(def, value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (def.type === "number") {
+    const number = typeof value === "number" ? value : Number(String(value).trim());
+    return Number.isFinite(number) ? number : undefined;
   }
-  ideas.forEach((idea) => texts.push(idea.text));
+  const text = String(value).trim();
+  if (!text) return undefined;
+  if (def.type === "enum") {
+    return def.options.find(
+      (option) => option.toLocaleLowerCase() === text.toLocaleLowerCase()
+    );
+  }
+  return text;
+}
 
-  const vocab = buildVocabulary(texts);
-  const problemVector = hasProblemTokens
-    ? vectorize(problemStatement, vocab)
-    : null;
+function cleanFieldValues(fields, defs) {
+  const clean = {};
+  defs.forEach((def) => {
+    const value = fieldValue(def, fields ? fields[def.id] : undefined);
+    if (value !== undefined) clean[def.id] = value;
+  });
+  return clean;
+}
 
-  const ideaVectors = {};
+// [{ def, value }] for the fields an idea has a valid value for.
+function ideaFieldValues(idea, defs) {
+  return defs
+    .map((def) => ({ def, value: fieldValue(def, (idea.fields || {})[def.id]) }))
+    .filter(({ value }) => value !== undefined);
+}
+
+// Groups for the board views that are not grouped by theme: one per tag (an
+// idea with several tags shows up in each), or one per choice of an enum
+// field in option order. Ideas with no tag or value come last.
+function groupIdeasBy(ideas, groupBy, defs) {
+  if (groupBy === "tags") {
+    const groups = new Map();
+    const untagged = [];
+    ideas.forEach((idea) => {
+      const tags = idea.tags || [];
+      if (tags.length === 0) untagged.push(idea);
+      tags.forEach((tag) => {
+        const key = tag.toLocaleLowerCase();
+        if (!groups.has(key)) groups.set(key, { key, name: tag, ideas: [] });
+        groups.get(key).ideas.push(idea);
+      });
+    });
+    const sorted = [...groups.values()].sort(
+      (a, b) => b.ideas.length - a.ideas.length || a.name.localeCompare(b.name)
+    );
+    return untagged.length
+      ? [...sorted, { key: "", name: "Untagged", ideas: untagged }]
+      : sorted;
+  }
+
+  const def = defs.find((d) => d.id === groupBy);
+  if (!def) return [];
+  const groups = def.options.map((option) => ({ key: option, name: option, ideas: [] }));
+  const unset = { key: "", name: `No ${def.name}`, ideas: [] };
   ideas.forEach((idea) => {
-    ideaVectors[idea.id] = vectorize(idea.text, vocab);
+    const value = fieldValue(def, (idea.fields || {})[def.id]);
+    (groups.find((group) => group.key === value) || unset).ideas.push(idea);
   });
+  return [...groups, unset].filter((group) => group.ideas.length > 0);
+}
 
-  const clusters = clusterIdeas(ideas, ideaVectors);
-  const noveltyResult = computeNoveltyScores(
-    ideas,
-    ideaVectors,
-    problemVector,
-    hasProblemTokens
+// ---- Search & filters ----
+
+// EMPTY_FILTERS and normalizeFilters, which saved views share, are in
+// board.js.
+
+function activeFilterCount(filters) {
+  return (
+    (filters.query.trim() ? 1 : 0) +
+    FILTER_LISTS.filter((key) => filters[key].length > 0).length +
+    (filters.from || filters.to ? 1 : 0)
   );
+}
 
-  const noveltyById = noveltyResult.scores;
-  const stats = noveltyResult.stats;
+function sameFilters(a, b) {
+  return JSON.stringify(normalizeFilters(a)) === JSON.stringify(normalizeFilters(b));
+}
 
-  const topIdeas = ideas
-    .slice()
-    .sort((a, b) => (noveltyById[b.id] || 0) - (noveltyById[a.id] || 0))
-    .slice(0, 5);
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
 
+// Splits a search into keywords and "quoted phrases" (an unclosed quote runs
+// to the end). Every term must appear in an idea's text for it to match.
+// Case is ignored, and the words of a phrase may be split by any whitespace.
+// Returns null for an empty search.
+function compileSearch(query) {
+  const sources = [];
+  for (const match of query.matchAll(/"([^"]*)"?|([^\s"]+)/g)) {
+    const term = (match[1] ?? match[2]).trim();
+    if (term) sources.push(escapeRegExp(term).replace(/\s+/g, "\\s+"));
+  }
+  if (sources.length === 0) return null;
   return {
-    vocab,
-    problemVector,
-    ideaVectors,
-    clusters,
-    noveltyById,
-    stats,
-    topIdeas
+    terms: sources.map((source) => new RegExp(source, "iu")),
+    // Longest first, so a phrase is highlighted whole rather than by word.
+    highlight: new RegExp(
+      sources
+        .slice()
+        .sort((a, b) => b.length - a.length)
+        .join("|"),
+      "giu"
+    )
   };
 }
 
-// ---- UI components ----
+function matchesSearch(text, search) {
+  return search.terms.every((term) => term.test(text));
+}
+
+// Cuts `text` into [{ text, match }] runs for highlighting search hits.
+function searchSegments(text, search) {
+  const segments = [];
+  let last = 0;
+  for (const match of text.matchAll(search.highlight)) {
+    if (match.index > last) {
+      segments.push({ text: text.slice(last, match.index), match: false });
+    }
+    segments.push({ text: match[0], match: true });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last), match: false });
+  return segments;
+}
+
+// The ideas that pass `filters`, in board order (the same array when nothing
+// filters). Themes and novelty bands are read from the analysis; an idea
+// that has no score yet is left out by a novelty filter.
+function filterIdeas(ideas, filters, { clusters, noveltyById }, noveltyBands = NOVELTY_BANDS) {
+  if (activeFilterCount(filters) === 0) return ideas;
+  const search = compileSearch(filters.query);
+  const authors = new Set(filters.authors);
+  const bands = new Set(filters.bands);
+  const tags = new Set(filters.tags);
+  const themed = new Set();
+  clusters.forEach((cluster) => {
+    if (filters.themes.includes(cluster.id)) {
+      cluster.ideaIds.forEach((id) => themed.add(id));
+    }
+  });
+  const from = filters.from ? new Date(filters.from).getTime() : -Infinity;
+  const to = filters.to ? new Date(filters.to).getTime() + 60 * 1000 : Infinity;
+
+  return ideas.filter((idea) => {
+    if (search && !matchesSearch(idea.text, search)) return false;
+    if (
+      authors.size > 0 &&
+      !authors.has(idea.author) &&
+      !(idea.coAuthors || []).some((name) => authors.has(name))
+    ) {
+      return false;
+    }
+    if (filters.themes.length > 0 && !themed.has(idea.id)) return false;
+    if (bands.size > 0) {
+      const score = noveltyById[idea.id];
+      if (typeof score !== "number" || !bands.has(noveltyLevel(score, noveltyBands).level)) {
+        return false;
+      }
+    }
+    if (tags.size > 0 && !(idea.tags || []).some((tag) => tags.has(tag))) {
+      return false;
+    }
+    const createdAt = Date.parse(idea.createdAt);
+    return !(createdAt < from || createdAt >= to);
+  });
+}
+
+// Saved views are stored on the board as [{ name, filters, themeAnchors }].
+// Automatic theme ids ("c1", "c2", …) are positions in the current grouping,
+// so `themeAnchors` remembers each selected automatic theme by its
+// representative idea; manual theme ids are stable and need no anchor.
+// Saving under a name that is already taken replaces that view.
+function saveView(views, name, filters, clusters) {
+  const themeAnchors = {};
+  clusters.forEach((cluster) => {
+    if (!cluster.manual && filters.themes.includes(cluster.id)) {
+      themeAnchors[cluster.id] = cluster.medoidId || cluster.ideaIds[0];
+    }
+  });
+  const view = { name, filters: normalizeFilters(filters), themeAnchors };
+  return views.some((v) => v.name === name)
+    ? views.map((v) => (v.name === name ? view : v))
+    : [...views, view];
+}
 
-function NoveltyBadge({ score }) {
-  let level = "low";
-  let label = "Safe";
+// The ids of the current themes a view selects: the theme now holding each
+// anchor idea, or the theme with the saved id. Themes that are gone drop out.
+function viewThemeIds(view, clusters) {
+  const anchors = view.themeAnchors || {};
+  const ids = [];
+  view.filters.themes.forEach((id) => {
+    const anchor = anchors[id];
+    const cluster =
+      typeof anchor === "string"
+        ? clusters.find((c) => c.ideaIds.includes(anchor))
+        : clusters.find((c) => c.id === id);
+    if (cluster && !ids.includes(cluster.id)) ids.push(cluster.id);
+  });
+  return ids;
+}
 
-  if (score >= 80) {
-    level = "high";
-    label = "Bold";
-  } else if (score >= 60) {
-    level = "medium";
-    label = "Fresh";
+// ---- Semantic map ----
+
+// Even-odd test for the lasso polygon, given as [{ x, y }].
+function pointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (
+      a.y > point.y !== b.y > point.y &&
+      point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x
+    ) {
+      inside = !inside;
+    }
   }
+  return inside;
+}
 
-  return (
-    <span
-      className={`novelty-badge novelty-${level}`}
-      title={`Novelty score: ${score}`}
-    >
-      <span>{label}</span>
-      <span>· {score}</span>
-    </span>
-  );
+// ---- Bulk entry ----
+
+// Bullets ("-", "*", "•", "+"), numbered items ("1.", "2)", "(3)") and
+// checklist boxes ("[ ]") that start a new idea in a pasted block.
+const LIST_MARKER = /^\s*(?:(?:[-*•+–]|\(?\d{1,3}[.)]|\[[ xX]?\])\s+)+/;
+const AUTHOR_PREFIX = /^([^:\n]{1,40}?):\s+(\S.*)$/;
+
+// Splits a pasted block into sticky drafts: one per line or list item.
+// Indented lines that follow a list item are treated as its continuation.
+function parseBulkIdeas(block, { readAuthors = false, defaultAuthor = "Anonymous" } = {}) {
+  const items = [];
+  (block || "").split(/\r?\n/).forEach((line) => {
+    if (!line.trim()) return;
+    const isListItem = LIST_MARKER.test(line);
+    const isContinuation =
+      !isListItem && /^\s+/.test(line) && items.length > 0 && items[items.length - 1].listItem;
+    if (isContinuation) {
+      items[items.length - 1].text += " " + line.trim();
+      return;
+    }
+    items.push({ text: line.replace(LIST_MARKER, "").trim(), listItem: isListItem });
+  });
+
+  return items
+    .map(({ text }) => {
+      let author = defaultAuthor;
+      let ideaText = text;
+      const match = readAuthors ? AUTHOR_PREFIX.exec(text) : null;
+      if (match) {
+        author = match[1].trim();
+        ideaText = match[2].trim();
+      }
+      return { text: ideaText, author };
+    })
+    .filter((item) => item.text);
 }
 
-function App() {
-  const [problemStatement, setProblemStatement] = useState(
-    "How might we reduce churn and make our app more habit-forming?"
-  );
-  const [displayName, setDisplayName] = useState("");
-  const [ideaText, setIdeaText] = useState("");
-  const [ideas, setIdeas] = useState([]);
-  const [viewMode, setViewMode] = useState("affinity");
-  const [toast, setToast] = useState(null);
+// ---- Board settings ----
+
+// The tunable numbers behind a board's themes, scores and badges, edited
+// together in the settings panel and saved as presets. On the board they
+// live in `analysisOptions` (threshold, neighbours, ignored words) and
+// `badgeSettings` (bands, standout score).
+const DEFAULT_BADGE_SETTINGS = { bands: NOVELTY_BANDS, standoutScore: STANDOUT_SCORE };
+const SETTINGS_PRESETS_KEY = "affinityboard:settings-presets";
+const NEIGHBOR_RANGE = { min: 1, max: 10 };
+
+// Built-in presets leave out the ignored words, which belong to a board's
+// domain rather than to a way of working; saved presets keep them.
+const BUILT_IN_PRESETS = [
+  {
+    name: "Default",
+    settings: {
+      threshold: DEFAULT_CLUSTERING_OPTIONS.threshold,
+      neighbors: NOVELTY_NEIGHBORS,
+      ...DEFAULT_BADGE_SETTINGS
+    }
+  },
+  { name: "Broad themes", settings: { threshold: 0.15, neighbors: 5 } },
+  { name: "Tight themes", settings: { threshold: 0.4, neighbors: 2 } },
+  {
+    name: "Strict badges",
+    settings: {
+      bands: [
+        { level: "high", label: "Bold", min: 90 },
+        { level: "medium", label: "Fresh", min: 75 },
+        { level: "low", label: "Safe", min: 0 }
+      ],
+      standoutScore: 90
+    }
+  }
+];
+
+// Lower-cased words from a comma- or space-separated list, split the way the
+// engine splits idea text so they match what it sees.
+function parseWordList(text) {
+  const words = [];
+  String(text || "")
+    .split(/[\s,]+/)
+    .forEach((entry) => {
+      splitWords(entry, resolveLanguage(entry, "auto")).forEach((word) => {
+        if (!words.includes(word)) words.push(word);
+      });
+    });
+  return words;
+}
+
+// The settings of a board, in the flat shape the panel and presets use.
+function boardSettings(analysisOptions, badgeSettings) {
+  return {
+    threshold: analysisOptions.clustering.threshold,
+    neighbors: analysisOptions.neighbors,
+    ignoredWords: analysisOptions.ignoredWords,
+    bands: badgeSettings.bands,
+    standoutScore: badgeSettings.standoutScore
+  };
+}
+
+// Fills in whatever a (possibly partial) preset leaves out from `base`.
+function normalizeSettings(settings, base) {
+  const merged = { ...base, ...settings };
+  return {
+    threshold: clampNumber(merged.threshold, 0.05, 0.9, base.threshold),
+    neighbors: Math.round(
+      clampNumber(merged.neighbors, NEIGHBOR_RANGE.min, NEIGHBOR_RANGE.max, base.neighbors)
+    ),
+    ignoredWords: Array.isArray(merged.ignoredWords)
+      ? parseWordList(merged.ignoredWords.join(" "))
+      : base.ignoredWords,
+    ...normalizeBadgeSettings(merged)
+  };
+}
+
+function applySettings(analysisOptions, settings) {
+  return {
+    analysisOptions: {
+      ...analysisOptions,
+      neighbors: settings.neighbors,
+      ignoredWords: settings.ignoredWords,
+      clustering: { ...analysisOptions.clustering, threshold: settings.threshold }
+    },
+    badgeSettings: {
+      bands: settings.bands,
+      standoutScore: settings.standoutScore
+    }
+  };
+}
+
+// Whether applying `preset` would leave `settings` as they are.
+function matchesPreset(settings, preset) {
+  return (
+    JSON.stringify(normalizeSettings(preset.settings, settings)) ===
+    JSON.stringify(settings)
+  );
+}
+
+function savePreset(presets, name, settings) {
+  const preset = { name, settings };
+  return presets.some((p) => p.name === name)
+    ? presets.map((p) => (p.name === name ? preset : p))
+    : [...presets, preset];
+}
+
+function loadSettingsPresets() {
+  const stored = readStorage(SETTINGS_PRESETS_KEY);
+  return (Array.isArray(stored) ? stored : []).filter(
+    (preset) =>
+      preset &&
+      typeof preset.name === "string" &&
+      preset.name &&
+      preset.settings &&
+      typeof preset.settings === "object"
+  );
+}
+
+// How the board would change under new settings: themes that form or merge,
+// ideas that end up with different theme-mates, how many ideas each badge
+// band holds, the ideas whose badge changes (biggest moves first) and how
+// many ideas would count as standouts.
+function settingsPreview(ideas, current, next, currentBadges, nextBadges) {
+  const mates = (analysis) => {
+    const lookup = {};
+    analysis.clusters.forEach((cluster) =>
+      cluster.ideaIds.forEach((id) => (lookup[id] = cluster.ideaIds.join(" ")))
+    );
+    return lookup;
+  };
+  const before = mates(current);
+  const after = mates(next);
+  const moved = ideas.filter((idea) => before[idea.id] !== after[idea.id]).length;
+
+  const bandOf = (analysis, badges, id) => {
+    const score = analysis.noveltyById[id];
+    return typeof score === "number" ? noveltyLevel(score, badges.bands) : null;
+  };
+  const bands = nextBadges.bands.map((band) => ({
+    level: band.level,
+    label: band.label,
+    before: ideas.filter(
+      (idea) => (bandOf(current, currentBadges, idea.id) || {}).level === band.level
+    ).length,
+    after: ideas.filter(
+      (idea) => (bandOf(next, nextBadges, idea.id) || {}).level === band.level
+    ).length
+  }));
+
+  const shifts = [];
+  ideas.forEach((idea) => {
+    const from = bandOf(current, currentBadges, idea.id);
+    const to = bandOf(next, nextBadges, idea.id);
+    if (!from || !to || (from.level === to.level && from.label === to.label)) return;
+    shifts.push({
+      idea,
+      from: { ...from, score: current.noveltyById[idea.id] },
+      to: { ...to, score: next.noveltyById[idea.id] }
+    });
+  });
+  shifts.sort(
+    (a, b) => Math.abs(b.to.score - b.from.score) - Math.abs(a.to.score - a.from.score)
+  );
+
+  const standouts = (analysis, badges) =>
+    ideas.filter((idea) => {
+      const score = analysis.noveltyByMode.absolute[idea.id];
+      return typeof score === "number" && score >= badges.standoutScore;
+    }).length;
+
+  return {
+    themes: { before: current.clusters.length, after: next.clusters.length, moved },
+    names: next.clusters.map((cluster) => ({
+      id: cluster.id,
+      name: cluster.primaryName,
+      size: cluster.ideaIds.length
+    })),
+    bands,
+    shifts,
+    standouts: {
+      before: standouts(current, currentBadges),
+      after: standouts(next, nextBadges)
+    }
+  };
+}
+
+// ---- Board storage ----
+
+// Boards are saved as JSON and brought up to the current schema on load by
+// migrateBoard (board.js).
+
+const WORKSPACE_STORAGE_KEY = "affinityboard:workspace";
+const BOARD_STORAGE_PREFIX = "affinityboard:board:";
+const DEFAULT_PROBLEM_STATEMENT =
+  "How might we reduce churn and make our app more habit-forming?";
+
+// `area` is "localStorage" or "sessionStorage".
+function readStorage(key, area = "localStorage") {
+  try {
+    const raw = window[area].getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.warn(`Could not read ${key} from ${area}`, err);
+    return null;
+  }
+}
+
+function writeStorage(key, value, area = "localStorage") {
+  try {
+    window[area].setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`Could not write ${key} to ${area}`, err);
+  }
+}
+
+function removeStorage(key, area = "localStorage") {
+  try {
+    window[area].removeItem(key);
+  } catch (err) {
+    console.warn(`Could not remove ${key} from ${area}`, err);
+  }
+}
+
+function createBoardId() {
+  return (
+    "b" +
+    Date.now().toString(36) +
+    Math.random().toString(36).slice(2, 6)
+  );
+}
+
+function createBoard(name, fields = {}) {
+  const now = new Date().toISOString();
+  return migrateBoard({
+    problemStatement: "",
+    ideas: [],
+    analysisOptions: { ...DEFAULT_ANALYSIS_OPTIONS },
+    curation: EMPTY_CURATION,
+    voting: DEFAULT_VOTING,
+    session: DEFAULT_SESSION,
+    scoreHistory: {},
+    savedViews: [],
+    customFields: [],
+    prompts: [],
+    badgeSettings: DEFAULT_BADGE_SETTINGS,
+    ...fields,
+    schemaVersion: BOARD_SCHEMA_VERSION,
+    id: createBoardId(),
+    name,
+    archived: false,
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+// Everything a board stores apart from its identity and bookkeeping.
+function boardContent(board) {
+  const {
+    id,
+    name,
+    archived,
+    createdAt,
+    updatedAt,
+    schemaVersion,
+    ...content
+  } = board;
+  return content;
+}
+
+function summarizeBoard(board) {
+  return {
+    id: board.id,
+    name: board.name,
+    archived: board.archived,
+    updatedAt: board.updatedAt,
+    ideaCount: board.ideas.length
+  };
+}
+
+function loadBoard(id) {
+  const raw = readStorage(BOARD_STORAGE_PREFIX + id);
+  if (!raw) return null;
+  try {
+    return migrateBoard(raw);
+  } catch (err) {
+    console.warn(`Could not load board ${id}`, err);
+    return null;
+  }
+}
+
+function saveBoard(board) {
+  writeStorage(BOARD_STORAGE_PREFIX + board.id, board);
+}
+
+function deleteStoredBoard(id) {
+  removeStorage(BOARD_STORAGE_PREFIX + id);
+  removeStorage(REPLICA_STORAGE_PREFIX + id);
+}
+
+function saveWorkspace(workspace) {
+  writeStorage(WORKSPACE_STORAGE_KEY, workspace);
+}
+
+// Returns the board index plus the board to open, creating a starter board on
+// first run so the app always has something to show.
+function loadWorkspace() {
+  const stored = readStorage(WORKSPACE_STORAGE_KEY);
+  const boards = [];
+  const storedBoards = stored && Array.isArray(stored.boards) ? stored.boards : [];
+  storedBoards.forEach((summary) => {
+    const board = summary && loadBoard(summary.id);
+    if (board) boards.push(summarizeBoard(board));
+  });
+
+  if (boards.length === 0) {
+    const board = createBoard("My first board", {
+      problemStatement: DEFAULT_PROBLEM_STATEMENT
+    });
+    saveBoard(board);
+    boards.push(summarizeBoard(board));
+  }
+
+  const activeBoardId = boards.some((b) => b.id === stored?.activeBoardId)
+    ? stored.activeBoardId
+    : (boards.find((b) => !b.archived) || boards[0]).id;
+
+  return {
+    workspace: { activeBoardId, boards },
+    board: loadBoard(activeBoardId)
+  };
+}
+
+// ---- Live collaboration ----
+
+// Several browsers share a board through a small relay server (relay.js)
+// and, between tabs on one computer, a BroadcastChannel. The replica that
+// merges their edits lives in sync.js.
+
+const SYNC_SETTINGS_KEY = "affinityboard:sync";
+const REPLICA_STORAGE_PREFIX = "affinityboard:replica:";
+const DEFAULT_SYNC_SETTINGS = { relayUrl: "ws://localhost:8787" };
+const PRESENCE_INTERVAL_MS = 10000;
+const PRESENCE_TIMEOUT_MS = 30000;
+
+function loadSyncSettings() {
+  return { ...DEFAULT_SYNC_SETTINGS, ...readStorage(SYNC_SETTINGS_KEY) };
+}
+
+// One per open tab, so two tabs on the same computer never share stamps.
+function createSiteId() {
+  return Math.random().toString(36).slice(2, 8);
+}
+
+// The replica is stored next to the board so a reload only sends what
+// actually changed, rather than re-stamping a possibly stale copy.
+function loadReplica(boardId) {
+  const stored = readStorage(REPLICA_STORAGE_PREFIX + boardId);
+  return reviveReplica(stored) || createReplica();
+}
+
+function saveReplica(boardId, replica) {
+  writeStorage(REPLICA_STORAGE_PREFIX + boardId, replica);
+}
+
+// Whether the board has been shared from this browser. Its ideas then need
+// ids no other browser can pick, even when added while not live.
+function hasReplica(boardId) {
+  return readStorage(REPLICA_STORAGE_PREFIX + boardId) !== null;
+}
+
+// "#live=<boardId>&name=<board name>&relay=<ws url>"
+function inviteLink(boardId, boardName, relayUrl) {
+  const params = new URLSearchParams({ live: boardId, name: boardName });
+  if (relayUrl) params.set("relay", relayUrl);
+  return window.location.href.split("#")[0] + "#" + params.toString();
+}
+
+function parseInvite(hash) {
+  const params = new URLSearchParams((hash || "").replace(/^#/, ""));
+  const boardId = params.get("live");
+  if (!boardId || !/^[\w-]{1,64}$/.test(boardId)) return null;
+  return {
+    boardId,
+    name: params.get("name") || "Shared board",
+    relayUrl: params.get("relay")
+  };
+}
+
+// Opens the room's BroadcastChannel and, when a relay is configured, a
+// WebSocket that reconnects with backoff. Messages are plain objects.
+function openLiveTransport({ room, relayUrl, onMessage, onStatus, onConnect }) {
+  let disposed = false;
+  let socket = null;
+  let retryTimer = null;
+  let retryDelay = 1000;
+
+  const channel =
+    typeof BroadcastChannel === "function"
+      ? new BroadcastChannel("affinityboard:live:" + room)
+      : null;
+  if (channel) channel.onmessage = (e) => onMessage(e.data);
+
+  function scheduleRetry() {
+    retryTimer = setTimeout(connect, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, 15000);
+  }
+
+  function connect() {
+    if (disposed) return;
+    onStatus("connecting");
+    try {
+      const url = new URL(relayUrl);
+      url.searchParams.set("room", room);
+      socket = new WebSocket(url.toString());
+    } catch (err) {
+      console.warn("Could not connect to the relay", err);
+      onStatus("offline");
+      return;
+    }
+    socket.onopen = () => {
+      retryDelay = 1000;
+      onStatus("online");
+      onConnect();
+    };
+    socket.onmessage = (e) => {
+      try {
+        onMessage(JSON.parse(e.data));
+      } catch (err) {
+        console.warn("Ignoring malformed relay message", err);
+      }
+    };
+    socket.onclose = () => {
+      socket = null;
+      if (disposed) return;
+      onStatus("offline");
+      scheduleRetry();
+    };
+  }
+
+  if (relayUrl) {
+    connect();
+  } else {
+    onStatus("local");
+  }
+
+  return {
+    send(message) {
+      if (channel) channel.postMessage(message);
+      if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    },
+    close() {
+      disposed = true;
+      clearTimeout(retryTimer);
+      if (channel) channel.close();
+      if (socket) socket.close();
+    }
+  };
+}
+
+// ---- Import & export ----
+
+const EXPORT_FORMAT = "affinityboard-export";
+const EXPORT_FORMAT_VERSION = 1;
+const CSV_COLUMNS = [
+  "id",
+  "text",
+  "author",
+  "coAuthors",
+  "createdAt",
+  "round",
+  "themeId",
+  "theme",
+  "votes",
+  "novelty",
+  "relevance",
+  "meanNeighborSim",
+  "rawNovelty",
+  "combined",
+  "tags",
+  "prompt",
+  "servesPrompts"
+];
+
+function roundTo(value, digits) {
+  if (typeof value !== "number" || !Number.isFinite(value)) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function themeByIdeaId(clusters) {
+  const lookup = {};
+  clusters.forEach((cluster) => {
+    cluster.ideaIds.forEach((id) => {
+      lookup[id] = cluster;
+    });
+  });
+  return lookup;
+}
+
+function buildBoardExport(board, analysis) {
+  const novelty = {};
+  board.ideas.forEach((idea) => {
+    const details = analysis.noveltyDetails[idea.id];
+    if (!details) return;
+    novelty[idea.id] = {
+      score: analysis.noveltyById[idea.id],
+      relevance: roundTo(details.relevance, 4),
+      meanNeighborSim: roundTo(details.meanNeighborSim, 4),
+      rawNovelty: roundTo(details.rawNovelty, 4),
+      combined: roundTo(details.combined, 4),
+      promptRelevance: Object.fromEntries(
+        Object.entries(details.promptRelevance || {}).map(([id, r]) => [id, roundTo(r, 4)])
+      )
+    };
+  });
+
+  return {
+    format: EXPORT_FORMAT,
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    board,
+    analysis: {
+      clusters: analysis.clusters.map((cluster) => ({
+        id: cluster.id,
+        name: cluster.primaryName,
+        keywords: cluster.keywords,
+        medoidId: cluster.medoidId,
+        cohesion: roundTo(cluster.cohesion, 4),
+        ideaIds: cluster.ideaIds
+      })),
+      novelty,
+      prompts: promptCoverage(
+        board.ideas,
+        board.prompts,
+        analysis,
+        board.badgeSettings.bands
+      ).map((row) => ({
+        id: row.prompt.id,
+        text: row.prompt.text,
+        attached: row.attached,
+        serving: row.serving,
+        avgRelevance: roundTo(row.avgRelevance, 4),
+        avgNovelty: roundTo(row.avgNovelty, 1),
+        status: row.status
+      })),
+      stats: analysis.stats
+    }
+  };
+}
+
+function exportBoardJSON(board, analysis) {
+  return JSON.stringify(buildBoardExport(board, analysis), null, 2);
+}
+
+function escapeCSVField(value) {
+  if (value === null || value === undefined) return "";
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function exportBoardCSV(board, analysis) {
+  const themes = themeByIdeaId(analysis.clusters);
+  const totals = voteTotals(board.voting, board.ideas);
+  const rounds = sessionRounds(board.session);
+  // One extra column per custom field, named after it.
+  const rows = [[...CSV_COLUMNS, ...board.customFields.map((def) => def.name)]];
+  board.ideas.forEach((idea) => {
+    const theme = themes[idea.id];
+    const round = rounds[roundIndexFor(idea, rounds)];
+    const details = analysis.noveltyDetails[idea.id] || {};
+    const prompt = board.prompts.find((p) => p.id === idea.promptId);
+    rows.push([
+      idea.id,
+      idea.text,
+      idea.author,
+      (idea.coAuthors || []).join("; "),
+      idea.createdAt,
+      round ? round.name : "",
+      theme ? theme.id : "",
+      theme ? theme.primaryName : "",
+      totals[idea.id],
+      analysis.noveltyById[idea.id],
+      roundTo(details.relevance, 4),
+      roundTo(details.meanNeighborSim, 4),
+      roundTo(details.rawNovelty, 4),
+      roundTo(details.combined, 4),
+      (idea.tags || []).join("; "),
+      prompt ? prompt.text : "",
+      servedPromptIds(idea, board.prompts, analysis.noveltyDetails)
+        .map((id) => promptLabel(board.prompts, id))
+        .join("; "),
+      ...board.customFields.map((def) => fieldValue(def, (idea.fields || {})[def.id]))
+    ]);
+  });
+  return rows.map((row) => row.map(escapeCSVField).join(",")).join("\r\n");
+}
+
+function markdownInline(text) {
+  return String(text || "")
+    .replace(/\s+/g, " ")
+    .replace(/([\\`*_[\]#|<>])/g, "\\$1")
+    .trim();
+}
+
+function exportBoardMarkdown(board, analysis) {
+  const totals = voteTotals(board.voting, board.ideas);
+  const lines = [`# ${markdownInline(board.name)}`, ""];
+  if (board.problemStatement.trim()) {
+    lines.push(`**Problem:** ${markdownInline(board.problemStatement)}`, "");
+  }
+  if (board.prompts.length) {
+    lines.push("**Prompts:**", "");
+    promptCoverage(board.ideas, board.prompts, analysis).forEach((row) => {
+      lines.push(
+        `${row.label}. ${markdownInline(row.prompt.text)} — ${row.serving} idea` +
+          `${row.serving !== 1 ? "s" : ""} (${row.attached} attached)`
+      );
+    });
+    lines.push("");
+  }
+
+  const { avgNovelty } = analysis.stats;
+  lines.push(
+    `_Exported ${new Date().toLocaleString()} · ${board.ideas.length} ideas · ` +
+      `${analysis.clusters.length} themes · average novelty ` +
+      `${avgNovelty != null ? avgNovelty.toFixed(1) : "–"}_`,
+    ""
+  );
+
+  analysis.clusters.forEach((cluster) => {
+    const count = cluster.ideaIds.length;
+    lines.push(
+      `## ${markdownInline(cluster.primaryName)} (${count} idea${count !== 1 ? "s" : ""})`,
+      ""
+    );
+    if (cluster.keywords.length) {
+      lines.push(`Keywords: ${cluster.keywords.join(", ")}`, "");
+    }
+    const medoid = board.ideas.find((idea) => idea.id === cluster.medoidId);
+    if (count > 2 && medoid) {
+      lines.push(`Representative: ${markdownInline(medoid.text)}`, "");
+    }
+    if (cluster.cohesion != null) {
+      lines.push(
+        `Cohesion: ${cluster.cohesion.toFixed(2)} (${cohesionLabel(cluster.cohesion)})`,
+        ""
+      );
+    }
+    cluster.ideaIds
+      .map((id) => board.ideas.find((idea) => idea.id === id))
+      .filter(Boolean)
+      .sort(
+        (a, b) =>
+          (analysis.noveltyById[b.id] || 0) - (analysis.noveltyById[a.id] || 0)
+      )
+      .forEach((idea) => {
+        const score = analysis.noveltyById[idea.id];
+        const novelty =
+          typeof score === "number"
+            ? ` · Novelty ${score} (${noveltyLevel(score, board.badgeSettings.bands).label})`
+            : "";
+        const votes = totals[idea.id]
+          ? ` · ${totals[idea.id]} vote${totals[idea.id] !== 1 ? "s" : ""}`
+          : "";
+        const coAuthors = idea.coAuthors && idea.coAuthors.length
+          ? ` (+${idea.coAuthors.length}: ${markdownInline(idea.coAuthors.join(", "))})`
+          : "";
+        const tags = (idea.tags || [])
+          .map((tag) => ` #${markdownInline(tag)}`)
+          .join("");
+        const fields = ideaFieldValues(idea, board.customFields)
+          .map(({ def, value }) => ` · ${markdownInline(def.name)}: ${markdownInline(value)}`)
+          .join("");
+        const promptId = promptLabel(board.prompts, idea.promptId);
+        const prompt = promptId ? ` · answers ${promptId}` : "";
+        lines.push(
+          `- **${markdownInline(idea.text)}** — ${markdownInline(idea.author)}${coAuthors}${votes}${novelty}${prompt}${fields}${tags}`
+        );
+      });
+    lines.push("");
+  });
+
+  return lines.join("\n");
+}
+
+// Checks one imported idea. Returns { idea, warnings } or { error } when the
+// row cannot be used at all.
+function validateImportedIdea(raw, seenIds) {
+  if (!raw || typeof raw !== "object") {
+    return { error: "not an idea object" };
+  }
+  const text = typeof raw.text === "string" ? raw.text.trim() : "";
+  if (!text) {
+    return { error: "missing idea text" };
+  }
+
+  const warnings = [];
+  let id = raw.id !== undefined && raw.id !== null ? String(raw.id).trim() : "";
+  if (id && seenIds.has(id)) {
+    warnings.push(`duplicate id "${id}", a new id was assigned`);
+    id = "";
+  }
+
+  let createdAt = raw.createdAt ? String(raw.createdAt) : "";
+  if (createdAt && Number.isNaN(Date.parse(createdAt))) {
+    warnings.push(`invalid createdAt "${createdAt}", using import time`);
+    createdAt = "";
+  }
+
+  const author =
+    typeof raw.author === "string" && raw.author.trim()
+      ? raw.author.trim()
+      : "Anonymous";
+
+  let coAuthors = raw.coAuthors === undefined ? [] : raw.coAuthors;
+  if (typeof coAuthors === "string") {
+    coAuthors = coAuthors.split(";");
+  }
+  if (!Array.isArray(coAuthors)) {
+    warnings.push("coAuthors is not a list, ignored");
+    coAuthors = [];
+  }
+  coAuthors = coAuthors
+    .filter((name) => typeof name === "string")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  if (raw.tags !== undefined && !Array.isArray(raw.tags) && typeof raw.tags !== "string") {
+    warnings.push("tags is not a list, ignored");
+  }
+  const tags = normalizeTags(raw.tags);
+
+  let fields = raw.fields === undefined ? {} : raw.fields;
+  if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+    warnings.push("fields is not an object, ignored");
+    fields = {};
+  }
+  fields = Object.fromEntries(
+    Object.entries(fields).filter(
+      ([, value]) => typeof value === "string" || Number.isFinite(value)
+    )
+  );
+
+  let promptId = raw.promptId === undefined ? null : raw.promptId;
+  if (promptId !== null && (typeof promptId !== "string" || !promptId)) {
+    warnings.push("promptId is not a prompt id, left free-floating");
+    promptId = null;
+  }
+
+  let roundId = raw.roundId === undefined ? null : raw.roundId;
+  if (roundId !== null && (typeof roundId !== "string" || !roundId)) {
+    warnings.push("roundId is not a round id, ignored");
+    roundId = null;
+  }
+
+  if (id) seenIds.add(id);
+  return {
+    idea: {
+      id,
+      text,
+      author,
+      coAuthors,
+      tags,
+      fields,
+      promptId,
+      roundId,
+      createdAt: createdAt
+        ? new Date(createdAt).toISOString()
+        : new Date().toISOString()
+    },
+    warnings
+  };
+}
+
+// Gives ideas that were imported without a usable id a fresh "i<n>" id.
+function assignMissingIdeaIds(ideas) {
+  let next = nextIdeaIdFor(ideas.filter((idea) => idea.id), 1);
+  return ideas.map((idea) => (idea.id ? idea : { ...idea, id: "i" + next++ }));
+}
+
+function collectImportedIdeas(rawIdeas, labelFor) {
+  const seenIds = new Set();
+  const ideas = [];
+  const issues = [];
+  rawIdeas.forEach((raw, idx) => {
+    const result = validateImportedIdea(raw, seenIds);
+    const label = labelFor(idx);
+    if (result.error) {
+      issues.push({ row: label, message: `${result.error}, skipped` });
+      return;
+    }
+    result.warnings.forEach((message) => issues.push({ row: label, message }));
+    ideas.push(result.idea);
+  });
+  return { ideas: assignMissingIdeaIds(ideas), issues };
+}
+
+// Accepts our own versioned export as well as a bare stored board.
+function importBoardJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not valid JSON: ${err.message}`);
+  }
+  if (!data || typeof data !== "object") {
+    throw new Error("Expected a JSON object");
+  }
+
+  let board = data;
+  if (data.format !== undefined) {
+    if (data.format !== EXPORT_FORMAT) {
+      throw new Error(`Unknown export format "${data.format}"`);
+    }
+    if (!(data.formatVersion <= EXPORT_FORMAT_VERSION)) {
+      throw new Error(
+        `Export format version ${data.formatVersion} is newer than this app supports`
+      );
+    }
+    board = data.board;
+  }
+  if (!board || !Array.isArray(board.ideas)) {
+    throw new Error("No ideas array found in the file");
+  }
+
+  const { ideas, issues } = collectImportedIdeas(
+    board.ideas,
+    (idx) => `Idea ${idx + 1}`
+  );
+  const migrated = migrateBoard({
+    ...board,
+    problemStatement:
+      typeof board.problemStatement === "string" ? board.problemStatement : "",
+    ideas
+  });
+  return {
+    name: migrated.name,
+    fields: boardContent(migrated),
+    issues
+  };
+}
+
+function importBoardCSV(text) {
+  const rows = parseCSV(text.replace(/^\uFEFF/, ""));
+  if (rows.length === 0) {
+    throw new Error("The CSV file is empty");
+  }
+  const header = rows[0].cells.map((cell) => cell.trim().toLowerCase());
+  const column = (name) => header.indexOf(name.toLowerCase());
+  if (column("text") === -1) {
+    throw new Error('The CSV header needs a "text" column');
+  }
+
+  // The "prompt" column holds the text of the prompt an idea answers; each
+  // distinct text becomes one prompt on the new board.
+  const prompts = [];
+  const dataRows = rows.slice(1);
+  const rawIdeas = dataRows.map(({ cells }) => {
+    const raw = {};
+    ["id", "text", "author", "coAuthors", "createdAt", "tags"].forEach((name) => {
+      const idx = column(name);
+      if (idx !== -1 && cells[idx] !== undefined) raw[name] = cells[idx];
+    });
+    const promptText = column("prompt") !== -1 ? (cells[column("prompt")] || "").trim() : "";
+    if (promptText) {
+      let prompt = prompts.find((p) => p.text === promptText);
+      if (!prompt) {
+        prompt = { id: `p${prompts.length + 1}`, text: promptText };
+        prompts.push(prompt);
+      }
+      raw.promptId = prompt.id;
+    }
+    return raw;
+  });
+  const { ideas, issues } = collectImportedIdeas(
+    rawIdeas,
+    (idx) => `Row ${dataRows[idx].line}`
+  );
+  return {
+    name: null,
+    fields: { ideas, prompts, nextIdeaId: nextIdeaIdFor(ideas, 1) },
+    issues
+  };
+}
+
+// ---- UI components ----
+
+function NoveltyBadge({ score, bands, onClick }) {
+  const { level, label } = noveltyLevel(score, bands);
+
+  if (onClick) {
+    return (
+      <button
+        type="button"
+        className={`novelty-badge novelty-badge-button novelty-${level}`}
+        title={`Novelty score: ${score} · click to see why`}
+        onClick={onClick}
+      >
+        <span>{label}</span>
+        <span>· {score}</span>
+      </button>
+    );
+  }
+
+  return (
+    <span
+      className={`novelty-badge novelty-${level}`}
+      title={`Novelty score: ${score}`}
+    >
+      <span>{label}</span>
+      <span>· {score}</span>
+    </span>
+  );
+}
+
+function NoveltyExplanation({ explanation, onClose }) {
+  const fmt = (x) => x.toFixed(3);
+  const { scaleMin, scaleMax } = explanation;
+  const flatScale = scaleMin === scaleMax;
+
+  return (
+    <div className="novelty-explanation">
+      <div className="cluster-header">
+        <div className="cluster-title">Why this score?</div>
+        <button className="icon-button" type="button" onClick={onClose} title="Close">
+          ×
+        </button>
+      </div>
+      <div className="modal-draft">“{explanation.idea.text}”</div>
+      <div className="explain-note">
+        Read as {LANGUAGES[explanation.language].label}
+        {explanation.languageDetected ? " (detected)" : ""}
+      </div>
+
+      <div className="explain-section">
+        <div className="label">
+          Nearest ideas · mean similarity {fmt(explanation.meanNeighborSim)}
+        </div>
+        {explanation.neighbors.length === 0 ? (
+          <div className="explain-note">
+            No other ideas yet, so a neutral similarity of 0.5 is assumed.
+          </div>
+        ) : (
+          explanation.neighbors.map(({ idea, similarity }) => (
+            <div key={idea.id} className="explain-neighbor">
+              <span>{idea.text}</span>
+              <span className="explain-value">{Math.round(similarity * 100)}%</span>
+            </div>
+          ))
+        )}
+      </div>
+
+      {explanation.prompts.length > 0 && (
+        <div className="explain-section">
+          <div className="label">Relevance to each prompt</div>
+          {explanation.prompts.map(({ prompt, label, relevance }) => (
+            <div key={prompt.id} className="explain-neighbor">
+              <span>
+                {label} · {prompt.text}
+                {prompt.id === explanation.idea.promptId ? " (attached)" : ""}
+              </span>
+              <span className="explain-value">{Math.round(relevance * 100)}%</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="explain-section">
+        <div className="label">Shared with {explanation.topic}</div>
+        <div className="explain-terms">
+          {explanation.sharedTerms.length
+            ? explanation.sharedTerms.join(" · ")
+            : "No words in common"}
+        </div>
+      </div>
+
+      <div className="explain-section">
+        <div className="label">Only this idea says</div>
+        <div className="explain-terms">
+          {explanation.uniqueTerms.length
+            ? explanation.uniqueTerms.join(" · ")
+            : "Every word also appears in another idea"}
+        </div>
+      </div>
+
+      <div className="explain-section">
+        <div className="label">From similarity to score</div>
+        <div className="explain-math">
+          <div>
+            Raw novelty = 1 − {fmt(explanation.meanNeighborSim)} ={" "}
+            {fmt(explanation.rawNovelty)}
+          </div>
+          <div>
+            Relevance = {fmt(explanation.relevance)}
+            {explanation.hasProblem
+              ? ` (similarity to ${explanation.topic}${
+                  explanation.prompts.length > 0 ? ", the closest match" : ""
+                })`
+              : " (no problem statement, so 1)"}
+          </div>
+          {explanation.scoring === "absolute" ? (
+            <>
+              <div>
+                Relevance weight = min(1, {fmt(explanation.relevance)} /{" "}
+                {ABSOLUTE_RELEVANCE_FULL}) = {fmt(explanation.relevanceWeight)}
+              </div>
+              <div>
+                Score = 100 × {fmt(explanation.rawNovelty)} ×{" "}
+                {fmt(explanation.relevanceWeight)} = <strong>{explanation.score}</strong>
+              </div>
+            </>
+          ) : (
+            <>
+              <div>
+                Combined = {fmt(explanation.rawNovelty)} ×{" "}
+                {fmt(explanation.relevance)} = {fmt(explanation.combined)}
+              </div>
+              {flatScale ? (
+                <div>Every idea has the same combined value, so all score 50.</div>
+              ) : (
+                <div>
+                  Score = 100 × ({fmt(explanation.combined)} − {fmt(scaleMin)}) / (
+                  {fmt(scaleMax)} − {fmt(scaleMin)}) ={" "}
+                  <strong>{explanation.score}</strong>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+        <div className="explain-note">
+          {explanation.scoring === "absolute"
+            ? "Absolute scores are not rescaled, so they stay comparable as the board grows."
+            : "Scores are rescaled so the least novel idea on the board gets 0 and the most novel gets 100."}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Sparkline({ values, width = 56, height = 16 }) {
+  if (values.length < 2) return null;
+  const step = width / (values.length - 1);
+  const points = values
+    .map((v, i) => `${(i * step).toFixed(1)},${(height - 1 - (v / 100) * (height - 2)).toFixed(1)}`)
+    .join(" ");
+  return (
+    <svg className="sparkline" width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+      <title>{`Novelty over time: ${values.join(" → ")}`}</title>
+      <polyline points={points} />
+    </svg>
+  );
+}
+
+function HighlightedText({ text, search }) {
+  if (!search) return text;
+  return (
+    <>
+      {searchSegments(text, search).map((segment, idx) =>
+        segment.match ? (
+          <mark key={idx} className="search-hit">
+            {segment.text}
+          </mark>
+        ) : (
+          segment.text
+        )
+      )}
+    </>
+  );
+}
+
+function IdeaCard({
+  idea,
+  score,
+  history,
+  search,
+  fieldDefs = [],
+  prompts = [],
+  servedPromptIds = [],
+  bands = NOVELTY_BANDS,
+  pinned,
+  onTogglePin,
+  onDragStart,
+  onDragEnd,
+  onEdit,
+  onDelete,
+  onExplain,
+  votes,
+  myVotes,
+  onVote,
+  canVoteMore
+}) {
+  const [editing, setEditing] = useState(false);
+  const [draftText, setDraftText] = useState(idea.text);
+  const [draftAuthor, setDraftAuthor] = useState(idea.author);
+  const [draftTags, setDraftTags] = useState("");
+  const [draftFields, setDraftFields] = useState({});
+  const [draftPromptId, setDraftPromptId] = useState("");
+  const draggable = Boolean(onDragStart) && !editing;
+  const tags = idea.tags || [];
+  const fieldValues = ideaFieldValues(idea, fieldDefs);
+
+  function startEditing() {
+    setDraftText(idea.text);
+    setDraftAuthor(idea.author);
+    setDraftTags(tags.join(", "));
+    setDraftFields(
+      Object.fromEntries(fieldValues.map(({ def, value }) => [def.id, String(value)]))
+    );
+    setDraftPromptId(
+      prompts.some((prompt) => prompt.id === idea.promptId) ? idea.promptId : ""
+    );
+    setEditing(true);
+  }
+
+  function saveEdit() {
+    if (!draftText.trim()) return;
+    onEdit(idea.id, {
+      text: draftText,
+      author: draftAuthor,
+      tags: normalizeTags(draftTags),
+      fields: cleanFieldValues(draftFields, fieldDefs),
+      promptId: draftPromptId || null
+    });
+    setEditing(false);
+  }
+
+  function handleEditKeyDown(e) {
+    if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) {
+      e.preventDefault();
+      saveEdit();
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      setEditing(false);
+    }
+  }
+
+  if (editing) {
+    return (
+      <div className="idea-card idea-card-editing">
+        <textarea
+          className="idea-edit-text"
+          value={draftText}
+          onChange={(e) => setDraftText(e.target.value)}
+          onKeyDown={handleEditKeyDown}
+          autoFocus
+        />
+        <input
+          value={draftAuthor}
+          onChange={(e) => setDraftAuthor(e.target.value)}
+          onKeyDown={handleEditKeyDown}
+          placeholder="Author"
+        />
+        <input
+          value={draftTags}
+          onChange={(e) => setDraftTags(e.target.value)}
+          onKeyDown={handleEditKeyDown}
+          placeholder="Tags, separated by commas"
+        />
+        {prompts.length > 0 && (
+          <label className="idea-edit-field">
+            <span>Prompt</span>
+            <select
+              value={draftPromptId}
+              onChange={(e) => setDraftPromptId(e.target.value)}
+            >
+              <option value="">Free-floating</option>
+              {prompts.map((prompt, idx) => (
+                <option key={prompt.id} value={prompt.id}>
+                  Q{idx + 1} · {prompt.text}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        {fieldDefs.map((def) => (
+          <label key={def.id} className="idea-edit-field">
+            <span>{def.name}</span>
+            {def.type === "enum" ? (
+              <select
+                value={draftFields[def.id] || ""}
+                onChange={(e) =>
+                  setDraftFields({ ...draftFields, [def.id]: e.target.value })
+                }
+              >
+                <option value="">–</option>
+                {def.options.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type={def.type === "number" ? "number" : "text"}
+                value={draftFields[def.id] || ""}
+                onChange={(e) =>
+                  setDraftFields({ ...draftFields, [def.id]: e.target.value })
+                }
+                onKeyDown={handleEditKeyDown}
+              />
+            )}
+          </label>
+        ))}
+        <div className="idea-edit-actions">
+          <button
+            className="button-secondary"
+            type="button"
+            onClick={() => setEditing(false)}
+          >
+            Cancel
+          </button>
+          <button
+            className="button-secondary"
+            type="button"
+            onClick={saveEdit}
+            disabled={!draftText.trim()}
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={"idea-card " + (pinned ? "idea-card-pinned" : "")}
+      draggable={draggable}
+      onDragStart={
+        draggable
+          ? (e) => {
+              e.dataTransfer.setData("text/plain", idea.id);
+              e.dataTransfer.effectAllowed = "move";
+              onDragStart(idea.id);
+            }
+          : undefined
+      }
+      onDragEnd={onDragEnd}
+    >
+      <div className="idea-text">
+        <HighlightedText text={idea.text} search={search} />
+      </div>
+      {(tags.length > 0 || fieldValues.length > 0 || servedPromptIds.length > 0) && (
+        <div className="idea-meta">
+          {servedPromptIds.map((promptId) => {
+            const prompt = prompts.find((p) => p.id === promptId);
+            const attached = promptId === idea.promptId;
+            return (
+              <span
+                key={promptId}
+                className={"prompt-chip " + (attached ? "prompt-chip-attached" : "")}
+                title={(attached ? "Attached to: " : "Also relevant to: ") + prompt.text}
+              >
+                {promptLabel(prompts, promptId)}
+              </span>
+            );
+          })}
+          {fieldValues.map(({ def, value }) => (
+            <span key={def.id} className="field-chip">
+              {def.name}: {value}
+            </span>
+          ))}
+          {tags.map((tag) => (
+            <span key={tag} className="tag-chip">
+              #{tag}
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="idea-footer">
+        <div className="idea-author">
+          {idea.author || "Anonymous"}
+          {idea.coAuthors && idea.coAuthors.length > 0 && (
+            <span
+              className="idea-plus-ones"
+              title={`Also suggested by ${idea.coAuthors.join(", ")}`}
+            >
+              +{idea.coAuthors.length}
+            </span>
+          )}
+        </div>
+        <div className="idea-novelty">
+          {onEdit && (
+            <button
+              className="icon-button"
+              type="button"
+              onClick={startEditing}
+              title="Edit idea"
+            >
+              ✎
+            </button>
+          )}
+          {onDelete && (
+            <button
+              className="icon-button"
+              type="button"
+              onClick={() => onDelete(idea.id)}
+              title="Delete idea"
+            >
+              🗑
+            </button>
+          )}
+          {onTogglePin && (
+            <button
+              className={"icon-button " + (pinned ? "icon-button-active" : "")}
+              type="button"
+              onClick={onTogglePin}
+              title={pinned ? "Unpin from this theme" : "Pin to this theme"}
+            >
+              📌
+            </button>
+          )}
+          {score !== null && score !== undefined && (
+            <>
+              <span className="idea-novelty-label">Novelty</span>
+              {history && <Sparkline values={history} />}
+              <NoveltyBadge
+                score={score}
+                bands={bands}
+                onClick={onExplain ? () => onExplain(idea.id) : undefined}
+              />
+            </>
+          )}
+        </div>
+      </div>
+      {(onVote || votes != null || myVotes > 0) && (
+        <div className="idea-votes">
+          {onVote && (
+            <button
+              className="vote-button"
+              type="button"
+              onClick={() => onVote(-1)}
+              disabled={!myVotes}
+              title="Take back a dot"
+            >
+              −
+            </button>
+          )}
+          <span className="vote-dots" title="Your dots on this idea">
+            {"●".repeat(myVotes || 0)}
+          </span>
+          {onVote && (
+            <button
+              className="vote-button"
+              type="button"
+              onClick={() => onVote(1)}
+              disabled={!canVoteMore}
+              title="Add a dot"
+            >
+              +
+            </button>
+          )}
+          {votes != null && (
+            <span className="vote-total">
+              {votes} vote{votes !== 1 ? "s" : ""}
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function VotingPanel({ voting, onChange, voter, votesLeft, ideaCount }) {
+  function update(fields) {
+    onChange({ ...voting, ...fields });
+  }
+
+  function handleReset() {
+    if (!window.confirm("Clear all votes on this board?")) return;
+    update({ status: "idle", votes: {} });
+  }
+
+  const voterCount = Object.keys(voting.votes).filter(
+    (name) => Object.keys(voting.votes[name]).length > 0
+  ).length;
+
+  return (
+    <div className="voting-panel">
+      <div className="stat-row">
+        <div className="stat-label">Dot voting</div>
+        <div className="stat-chip">
+          {voting.status === "open"
+            ? "Open"
+            : voting.status === "closed"
+            ? "Closed"
+            : "Not started"}
+        </div>
+      </div>
+
+      {voting.status !== "open" && (
+        <div className="voting-settings">
+          <label className="range-row">
+            <span>Dots per person</span>
+            <input
+              type="number"
+              min="1"
+              max="50"
+              value={voting.votesPerPerson}
+              onChange={(e) =>
+                update({ votesPerPerson: Math.max(1, Number(e.target.value) || 1) })
+              }
+            />
+          </label>
+          <label className="range-row">
+            <span>Max per idea</span>
+            <input
+              type="number"
+              min="1"
+              max="50"
+              value={voting.maxPerIdea}
+              onChange={(e) =>
+                update({ maxPerIdea: Math.max(1, Number(e.target.value) || 1) })
+              }
+            />
+          </label>
+          <label className="checkbox-row">
+            <input
+              type="checkbox"
+              checked={voting.hideTallies}
+              onChange={(e) => update({ hideTallies: e.target.checked })}
+            />
+            <span>Hide tallies until voting closes</span>
+          </label>
+        </div>
+      )}
+
+      {voting.status === "open" && (
+        <div className="voting-hint">
+          {voter
+            ? `${voter}: ${votesLeft} of ${voting.votesPerPerson} dots left`
+            : "Enter your name on the left to vote."}
+          {" · "}
+          {voterCount} voter{voterCount !== 1 ? "s" : ""} so far
+        </div>
+      )}
+
+      <div className="data-actions">
+        {voting.status !== "open" && (
+          <button
+            className="button-secondary"
+            type="button"
+            onClick={() => update({ status: "open" })}
+            disabled={ideaCount === 0}
+          >
+            {voting.status === "closed" ? "Reopen voting" : "Start voting"}
+          </button>
+        )}
+        {voting.status === "open" && (
+          <button
+            className="button-secondary"
+            type="button"
+            onClick={() => update({ status: "closed" })}
+          >
+            Close voting
+          </button>
+        )}
+        {voting.status !== "idle" && (
+          <button className="button-secondary" type="button" onClick={handleReset}>
+            Reset votes
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function RoundTimer({ session, now, onChange, onStart, onEnd }) {
+  const [editingPlan, setEditingPlan] = useState(false);
+  const [planIndex, setPlanIndex] = useState(null);
+  const selected = planIndex !== null && session.plan[planIndex] ? planIndex : nextPlanIndex(session);
+
+  function updateRound(idx, fields) {
+    onChange({
+      ...session,
+      plan: session.plan.map((round, i) => (i === idx ? { ...round, ...fields } : round))
+    });
+  }
+
+  if (session.current) {
+    const remaining = Date.parse(session.current.endsAt) - now;
+    return (
+      <div className="round-timer round-timer-running">
+        <div className="round-name">{session.current.name}</div>
+        <div className="round-countdown">{formatCountdown(remaining)}</div>
+        <div className="button-row">
+          <button
+            className="button-secondary"
+            type="button"
+            onClick={() => onChange(extendRound(session, 1))}
+          >
+            +1 min
+          </button>
+          <button className="button-secondary" type="button" onClick={onEnd}>
+            End round
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="round-timer">
+      {session.locked && (
+        <div className="round-locked">
+          Time's up · idea entry is locked.{" "}
+          <button
+            className="link-button"
+            type="button"
+            onClick={() => onChange({ ...session, locked: false })}
+          >
+            Unlock
+          </button>
+        </div>
+      )}
+      {session.plan.length > 0 && (
+        <div className="round-start">
+          <select
+            value={selected}
+            onChange={(e) => setPlanIndex(Number(e.target.value))}
+          >
+            {session.plan.map((round, idx) => (
+              <option key={idx} value={idx}>
+                {round.name} · {round.minutes} min
+              </option>
+            ))}
+          </select>
+          <button
+            className="button-secondary"
+            type="button"
+            onClick={() => {
+              setPlanIndex(null);
+              onStart(selected);
+            }}
+          >
+            Start round
+          </button>
+        </div>
+      )}
+      <div className="round-meta">
+        {session.runs.length} round{session.runs.length !== 1 ? "s" : ""} run
+        {" · "}
+        <button
+          className="link-button"
+          type="button"
+          onClick={() => setEditingPlan(!editingPlan)}
+        >
+          {editingPlan ? "Done" : "Edit rounds"}
+        </button>
+        {session.runs.length > 0 && (
+          <>
+            {" · "}
+            <button
+              className="link-button"
+              type="button"
+              onClick={() => {
+                if (window.confirm("Forget the rounds run so far on this board?")) {
+                  onChange({ ...session, runs: [], locked: false });
+                }
+              }}
+            >
+              Reset
+            </button>
+          </>
+        )}
+      </div>
+      {editingPlan && (
+        <div className="round-plan">
+          {session.plan.map((round, idx) => (
+            <div key={idx} className="round-plan-row">
+              <input
+                value={round.name}
+                onChange={(e) => updateRound(idx, { name: e.target.value })}
+                placeholder="Round name"
+              />
+              <input
+                type="number"
+                min="1"
+                max="120"
+                value={round.minutes}
+                onChange={(e) =>
+                  updateRound(idx, {
+                    minutes: Math.min(120, Math.max(1, Number(e.target.value) || 1))
+                  })
+                }
+                title="Minutes"
+              />
+              <button
+                className="icon-button"
+                type="button"
+                onClick={() =>
+                  onChange({
+                    ...session,
+                    plan: session.plan.filter((_, i) => i !== idx)
+                  })
+                }
+                title="Remove round"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button
+            className="link-button"
+            type="button"
+            onClick={() =>
+              onChange({
+                ...session,
+                plan: [...session.plan, { name: "New round", minutes: 5 }]
+              })
+            }
+          >
+            + Add round
+          </button>
+          <label className="checkbox-row">
+            <input
+              type="checkbox"
+              checked={session.lockOnEnd}
+              onChange={(e) => onChange({ ...session, lockOnEnd: e.target.checked })}
+            />
+            <span>Lock idea entry when a round ends</span>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function RoundStatsTable({ rows }) {
+  return (
+    <table className="round-stats">
+      <thead>
+        <tr>
+          <th>Round</th>
+          <th title="Ideas added">Ideas</th>
+          <th title="Average novelty">Novelty</th>
+          <th title="Themes whose first idea came from this round">New themes</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row, idx) => (
+          <tr key={idx} className={row.live ? "round-stats-live" : ""}>
+            <td>{row.name}</td>
+            <td>{row.ideaCount}</td>
+            <td>{row.avgNovelty != null ? row.avgNovelty.toFixed(1) : "–"}</td>
+            <td>{row.newThemes}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function ParticipantsPanel({ rows, diversity }) {
+  return (
+    <div className="round-stats-panel">
+      <div className="stat-row">
+        <div className="stat-label">By person</div>
+        <div
+          className="stat-value"
+          title="Effective number of voices: equals the number of people when everyone added as many ideas, and drops towards 1 as one person dominates"
+        >
+          {diversity.effectiveVoices.toFixed(1)} of {diversity.authorCount} voice
+          {diversity.authorCount !== 1 ? "s" : ""}
+        </div>
+      </div>
+      {diversity.dominated.map((theme) => (
+        <div key={theme.clusterId} className="dominance-flag">
+          “{theme.name}”: {theme.voices.join(" and ")} wrote {theme.voiceIdeas} of{" "}
+          {theme.ideaCount} ideas. Invite quieter voices in.
+        </div>
+      ))}
+      <table className="round-stats">
+        <thead>
+          <tr>
+            <th>Person</th>
+            <th title="Ideas added (+1s from merged duplicates in brackets)">Ideas</th>
+            <th title="Average novelty">Novelty</th>
+            <th title="Themes they added ideas to">Themes</th>
+            <th title="Mean similarity of their ideas to the closest idea by someone else">
+              Overlap
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.name}>
+              <td>{row.name}</td>
+              <td>
+                {row.ideaCount}
+                {row.plusOnes > 0 ? ` (+${row.plusOnes})` : ""}
+              </td>
+              <td>{row.avgNovelty != null ? row.avgNovelty.toFixed(1) : "–"}</td>
+              <td>{row.themeCount}</td>
+              <td>{row.overlap != null ? `${Math.round(row.overlap * 100)}%` : "–"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const PROMPT_STATUS_NOTES = {
+  none: "no ideas yet",
+  few: "only a few ideas",
+  weak: "only safe ideas so far"
+};
+
+function PromptCoveragePanel({ rows, freeFloating }) {
+  const flagged = rows.filter((row) => row.status !== "ok");
+  return (
+    <div className="round-stats-panel">
+      <div className="stat-row">
+        <div className="stat-label">By prompt</div>
+        <div className="stat-value" title="Ideas not attached to any prompt">
+          {freeFloating} free-floating
+        </div>
+      </div>
+      {flagged.map((row) => (
+        <div key={row.prompt.id} className="dominance-flag">
+          {row.label} “{row.prompt.text}” has {PROMPT_STATUS_NOTES[row.status]}.
+        </div>
+      ))}
+      <table className="round-stats">
+        <thead>
+          <tr>
+            <th>Prompt</th>
+            <th title="Ideas attached to this prompt">Attached</th>
+            <th title={`Ideas attached to it or at least ${PROMPT_SERVES * 100}% relevant to it`}>
+              Serving
+            </th>
+            <th title="Mean relevance of the serving ideas to this prompt">Relevance</th>
+            <th title="Average novelty of the serving ideas">Novelty</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.prompt.id}>
+              <td title={row.prompt.text}>{row.label}</td>
+              <td>{row.attached}</td>
+              <td>{row.serving}</td>
+              <td>
+                {row.avgRelevance != null ? `${Math.round(row.avgRelevance * 100)}%` : "–"}
+              </td>
+              <td>{row.avgNovelty != null ? row.avgNovelty.toFixed(1) : "–"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function UnexploredAngles({
+  gaps,
+  starters,
+  technique,
+  onTechniqueChange,
+  onMore,
+  onAddPrompt
+}) {
+  const { missingTerms, thinThemes } = gaps;
+  return (
+    <div className="round-stats-panel">
+      <div className="stat-row">
+        <div className="stat-label">Unexplored angles</div>
+        <select
+          className="ranking-select"
+          value={technique}
+          onChange={(e) => onTechniqueChange(e.target.value)}
+          title="Technique for the idea starters"
+        >
+          <option value="all">All techniques</option>
+          {Object.keys(IDEA_TECHNIQUES).map((key) => (
+            <option key={key} value={key}>
+              {IDEA_TECHNIQUES[key].label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {missingTerms.length > 0 && (
+        <div className="gap-row">
+          <span className="gap-label">No idea mentions</span>
+          {missingTerms.map((gap) => (
+            <span key={gap.term} className="gap-term">
+              {gap.word}
+            </span>
+          ))}
+        </div>
+      )}
+      {thinThemes.length > 0 && (
+        <div className="gap-row">
+          <span className="gap-label">Thin themes</span>
+          {thinThemes.map((theme) => (
+            <span key={theme.id} className="gap-term">
+              {theme.name} ({theme.ideaCount})
+            </span>
+          ))}
+        </div>
+      )}
+      {missingTerms.length === 0 && thinThemes.length === 0 && (
+        <div className="explain-note">
+          Every word of the problem statement shows up in an idea and no theme is
+          thin. Try a starter to diverge again anyway.
+        </div>
+      )}
+      <div className="starter-cards">
+        {starters.map((card) => (
+          <div key={card.id} className="starter-card">
+            <div className="starter-technique">
+              {card.technique} · {card.move}
+            </div>
+            <div>{card.text}</div>
+            <div className="starter-footer">
+              <span>{card.angle.from ? `Gap: ${card.angle.from}` : ""}</span>
+              <button
+                className="link-button"
+                type="button"
+                onClick={() => onAddPrompt(card.text)}
+                title="Add this question to the board's prompts"
+              >
+                Add as prompt
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+      <button className="link-button" type="button" onClick={onMore}>
+        More starters
+      </button>
+    </div>
+  );
+}
+
+function PriorityMatrix({ ideas, noveltyById, totals }) {
+  const width = 560;
+  const height = 360;
+  const pad = 36;
+  const maxVotes = Math.max(0, ...ideas.map((idea) => totals[idea.id] || 0));
+  const yMax = Math.max(1, maxVotes);
+  const splitVotes = Math.max(1, maxVotes / 2);
+  const x = (novelty) => pad + ((width - 2 * pad) * novelty) / 100;
+  const y = (votes) => height - pad - ((height - 2 * pad) * votes) / yMax;
+
+  const counts = { quickWins: 0, bigBets: 0, moonshots: 0, parkingLot: 0 };
+  const points = ideas.map((idea, idx) => {
+    const votes = totals[idea.id] || 0;
+    const novelty = noveltyById[idea.id] ?? 0;
+    const quadrant = priorityQuadrant(votes, novelty, maxVotes);
+    counts[quadrant] += 1;
+    // Small deterministic jitter so ideas with equal scores stay visible.
+    const jitter = ((idx * 37) % 11) - 5;
+    return { idea, votes, novelty, quadrant, cx: x(novelty) + jitter, cy: y(votes) + jitter / 2 };
+  });
+
+  const midX = x(50);
+  const midY = y(splitVotes);
+  const labels = [
+    { key: "quickWins", x: pad + 6, y: pad + 14, anchor: "start" },
+    { key: "bigBets", x: width - pad - 6, y: pad + 14, anchor: "end" },
+    { key: "parkingLot", x: pad + 6, y: height - pad - 8, anchor: "start" },
+    { key: "moonshots", x: width - pad - 6, y: height - pad - 8, anchor: "end" }
+  ];
+
+  return (
+    <div className="cluster-card priority-card">
+      <div className="cluster-header">
+        <div className="cluster-title">Votes vs. novelty</div>
+        <div className="cluster-meta">
+          Hover a dot to see the idea
+        </div>
+      </div>
+      <svg
+        className="priority-matrix"
+        viewBox={`0 0 ${width} ${height}`}
+        role="img"
+        aria-label="Ideas plotted by vote count against novelty score"
+      >
+        <rect
+          x={pad}
+          y={pad}
+          width={width - 2 * pad}
+          height={height - 2 * pad}
+          className="priority-frame"
+        />
+        <line x1={midX} x2={midX} y1={pad} y2={height - pad} className="priority-split" />
+        <line x1={pad} x2={width - pad} y1={midY} y2={midY} className="priority-split" />
+        {labels.map((label) => (
+          <text
+            key={label.key}
+            x={label.x}
+            y={label.y}
+            textAnchor={label.anchor}
+            className="priority-label"
+          >
+            {PRIORITY_QUADRANTS[label.key].label} ({counts[label.key]})
+          </text>
+        ))}
+        <text x={width / 2} y={height - 8} textAnchor="middle" className="priority-axis">
+          Novelty →
+        </text>
+        <text
+          x={12}
+          y={height / 2}
+          textAnchor="middle"
+          className="priority-axis"
+          transform={`rotate(-90 12 ${height / 2})`}
+        >
+          Votes →
+        </text>
+        {points.map((p) => (
+          <circle
+            key={p.idea.id}
+            cx={p.cx}
+            cy={p.cy}
+            r={6}
+            className={`priority-dot priority-dot-${p.quadrant}`}
+          >
+            <title>
+              {`${p.idea.text}\n${p.idea.author} · ${p.votes} vote${
+                p.votes !== 1 ? "s" : ""
+              } · novelty ${p.novelty}`}
+            </title>
+          </circle>
+        ))}
+      </svg>
+      <div className="priority-legend">
+        {Object.keys(PRIORITY_QUADRANTS).map((key) => (
+          <span key={key}>
+            <span className={`priority-swatch priority-dot-${key}`} />
+            {PRIORITY_QUADRANTS[key].label}: {PRIORITY_QUADRANTS[key].hint}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Cohesion is the mean similarity between a theme's ideas. Similarities of
+// short, related texts seldom go much above 0.5, so the bands sit low.
+const COHESION_BANDS = [
+  { label: "Tight", min: 0.4 },
+  { label: "Fair", min: 0.2 },
+  { label: "Loose", min: 0 }
+];
+
+function cohesionLabel(cohesion) {
+  const band =
+    COHESION_BANDS.find((b) => cohesion >= b.min) ||
+    COHESION_BANDS[COHESION_BANDS.length - 1];
+  return band.label;
+}
+
+function ClusterCard({
+  cluster,
+  clusters,
+  ideas,
+  noveltyById,
+  isDropTarget,
+  onDragOverCluster,
+  onDropIdea,
+  onDragIdea,
+  onDragEnd,
+  onRename,
+  onMerge,
+  onSplit,
+  onRelease,
+  onTogglePin,
+  onEditIdea,
+  onDeleteIdea,
+  onExplainIdea,
+  historyFor,
+  voteProps,
+  promptProps,
+  search,
+  fieldDefs,
+  bands
+}) {
+  const otherClusters = clusters.filter((c) => c.id !== cluster.id);
+  // With two ideas either one is as representative as the other.
+  const medoid =
+    cluster.ideaIds.length > 2 ? ideas.find((i) => i.id === cluster.medoidId) : null;
+
+  return (
+    <div
+      className={
+        "cluster-card " +
+        (cluster.manual ? "cluster-card-manual " : "") +
+        (isDropTarget ? "cluster-card-drop" : "")
+      }
+      onDragOver={(e) => {
+        e.preventDefault();
+        onDragOverCluster(cluster.id);
+      }}
+      onDrop={(e) => {
+        e.preventDefault();
+        onDropIdea(e.dataTransfer.getData("text/plain"), cluster.id);
+      }}
+    >
+      <div className="cluster-header">
+        <div className="cluster-title">
+          {cluster.primaryName}
+          {cluster.manual && <span className="cluster-badge">Curated</span>}
+        </div>
+        <div className="cluster-meta">
+          {cluster.ideaIds.length} idea
+          {cluster.ideaIds.length !== 1 ? "s" : ""}
+          {cluster.cohesion != null && (
+            <span
+              className="cluster-cohesion"
+              title={`Cohesion ${cluster.cohesion.toFixed(2)}: mean similarity between the ideas in this theme`}
+            >
+              {" "}
+              · {cohesionLabel(cluster.cohesion)}
+            </span>
+          )}
+        </div>
+      </div>
+      {cluster.keywords && cluster.keywords.length > 0 && (
+        <div className="cluster-keywords">{cluster.keywords.join(" · ")}</div>
+      )}
+      {medoid && (
+        <div className="cluster-medoid" title="The idea closest to all the others in this theme">
+          Representative: “{medoid.text}”
+        </div>
+      )}
+      <div className="cluster-actions">
+        <button className="link-button" type="button" onClick={onRename}>
+          Rename
+        </button>
+        {cluster.ideaIds.length > 1 && (
+          <button className="link-button" type="button" onClick={onSplit}>
+            Split
+          </button>
+        )}
+        {otherClusters.length > 0 && (
+          <select
+            className="cluster-merge"
+            value=""
+            onChange={(e) => e.target.value && onMerge(e.target.value)}
+          >
+            <option value="">Merge into…</option>
+            {otherClusters.map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.primaryName}
+              </option>
+            ))}
+          </select>
+        )}
+        {cluster.manual && (
+          <button
+            className="link-button"
+            type="button"
+            onClick={onRelease}
+            title="Drop the manual changes and let the board regroup these ideas"
+          >
+            Release
+          </button>
+        )}
+      </div>
+      <div className="cluster-ideas">
+        {cluster.ideaIds.map((id) => {
+          const idea = ideas.find((i) => i.id === id);
+          if (!idea) return null;
+          return (
+            <IdeaCard
+              key={idea.id}
+              idea={idea}
+              score={noveltyById[idea.id] ?? null}
+              history={historyFor(idea)}
+              search={search}
+              fieldDefs={fieldDefs}
+              bands={bands}
+              pinned={cluster.pinnedIds.includes(idea.id)}
+              onTogglePin={() => onTogglePin(idea.id)}
+              onDragStart={onDragIdea}
+              onDragEnd={onDragEnd}
+              onEdit={onEditIdea}
+              onDelete={onDeleteIdea}
+              onExplain={onExplainIdea}
+              {...voteProps(idea)}
+              {...promptProps(idea)}
+            />
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+const MAP_PALETTE = [
+  "#38bdf8",
+  "#f472b6",
+  "#4ade80",
+  "#fbbf24",
+  "#a78bfa",
+  "#fb923c",
+  "#2dd4bf",
+  "#f87171"
+];
+
+// `project(method)` resolves to the layout of the current analysis; it is
+// computed off the main thread along with the analysis itself.
+function SemanticMap({ ideas, analysis, project, method, onMethodChange, selection, onSelect }) {
+  const width = 560;
+  const height = 420;
+  const pad = 24;
+  const svgRef = useRef(null);
+  const [lasso, setLasso] = useState(null);
+  const [projection, setProjection] = useState({ points: [], anchor: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    project(method).then((next) => {
+      if (!cancelled) setProjection(next);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [analysis, method]);
+
+  const byId = {};
+  ideas.forEach((idea) => (byId[idea.id] = idea));
+  // The layout can briefly include ideas that were just deleted.
+  const layout = {
+    ...projection,
+    points: projection.points.filter((p) => byId[p.id])
+  };
+  const clusterIndex = {};
+  analysis.clusters.forEach((cluster, idx) =>
+    cluster.ideaIds.forEach((id) => (clusterIndex[id] = idx))
+  );
+  const toX = (x) => pad + x * (width - 2 * pad);
+  const toY = (y) => pad + y * (height - 2 * pad);
+
+  function svgPoint(e) {
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / (rect.width || width)) * width,
+      y: ((e.clientY - rect.top) / (rect.height || height)) * height
+    };
+  }
+
+  function handlePointerUp() {
+    if (!lasso) return;
+    setLasso(null);
+    // A click without a drag clears the selection.
+    if (lasso.length < 3) {
+      onSelect(null);
+      return;
+    }
+    const ids = layout.points
+      .filter((p) => pointInPolygon({ x: toX(p.x), y: toY(p.y) }, lasso))
+      .map((p) => p.id);
+    onSelect(ids.length > 0 ? ids : null);
+  }
+
+  return (
+    <div className="cluster-card map-card">
+      <div className="cluster-header">
+        <div className="cluster-title">Semantic map</div>
+        <select
+          className="ranking-select"
+          value={method}
+          onChange={(e) => onMethodChange(e.target.value)}
+        >
+          {Object.keys(PROJECTION_METHODS).map((key) => (
+            <option key={key} value={key}>
+              {PROJECTION_METHODS[key].label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="cluster-meta">
+        Close ideas say similar things. Draw a loop around dots to filter the
+        board; click empty space to clear.
+        {projection.method && projection.method !== method && (
+          <>
+            {" "}
+            {PROJECTION_METHODS[method].label} handles up to{" "}
+            {PROJECTION_METHODS[method].maxPoints} ideas, so this board is shown
+            with {PROJECTION_METHODS[projection.method].label}.
+          </>
+        )}
+      </div>
+      <svg
+        ref={svgRef}
+        className="semantic-map"
+        viewBox={`0 0 ${width} ${height}`}
+        role="img"
+        aria-label="Ideas projected onto two dimensions by similarity"
+        onPointerDown={(e) => setLasso([svgPoint(e)])}
+        onPointerMove={(e) => lasso && setLasso([...lasso, svgPoint(e)])}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+      >
+        <rect x={0} y={0} width={width} height={height} className="map-frame" />
+        {layout.anchor && (
+          <g className="map-anchor">
+            <rect
+              x={toX(layout.anchor.x) - 6}
+              y={toY(layout.anchor.y) - 6}
+              width={12}
+              height={12}
+              transform={`rotate(45 ${toX(layout.anchor.x)} ${toY(layout.anchor.y)})`}
+            />
+            <text x={toX(layout.anchor.x) + 10} y={toY(layout.anchor.y) + 4}>
+              Problem
+            </text>
+            <title>Problem statement</title>
+          </g>
+        )}
+        {layout.points.map((p) => {
+          const idea = byId[p.id];
+          const novelty = analysis.noveltyById[p.id] ?? 0;
+          const cluster = analysis.clusters[clusterIndex[p.id]];
+          const dimmed = selection && !selection.includes(p.id);
+          return (
+            <circle
+              key={p.id}
+              cx={toX(p.x)}
+              cy={toY(p.y)}
+              r={4 + (novelty / 100) * 6}
+              fill={MAP_PALETTE[(clusterIndex[p.id] ?? 0) % MAP_PALETTE.length]}
+              className={"map-dot " + (dimmed ? "map-dot-dimmed" : "")}
+            >
+              <title>
+                {`${idea.text}\n${cluster ? cluster.primaryName : "Unclustered"} · novelty ${novelty}`}
+              </title>
+            </circle>
+          );
+        })}
+        {lasso && (
+          <polyline
+            className="map-lasso"
+            points={lasso.map((pt) => `${pt.x},${pt.y}`).join(" ")}
+          />
+        )}
+      </svg>
+      <div className="priority-legend">
+        {analysis.clusters.map((cluster, idx) => (
+          <span key={cluster.id}>
+            <span
+              className="priority-swatch"
+              style={{ background: MAP_PALETTE[idx % MAP_PALETTE.length] }}
+            />
+            {cluster.primaryName}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function DuplicatesPanel({ groups, ideas, onMerge, onMergeAll, onDismiss, onClose }) {
+  const byId = {};
+  ideas.forEach((idea) => (byId[idea.id] = idea));
+
+  return (
+    <div className="duplicates-panel">
+      <div className="cluster-header">
+        <div className="cluster-title">
+          {groups.length === 0
+            ? "No likely duplicates on this board"
+            : `${groups.length} group${groups.length !== 1 ? "s" : ""} of likely duplicates`}
+        </div>
+        <div className="cluster-actions">
+          {groups.length > 1 && (
+            <button className="link-button" type="button" onClick={onMergeAll}>
+              Merge all
+            </button>
+          )}
+          <button className="link-button" type="button" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+      {groups.map((group) => (
+        <div key={group.ideaIds.join(",")} className="duplicate-group">
+          <div className="duplicate-group-ideas">
+            {group.ideaIds.map((id, idx) => (
+              <div key={id} className="duplicate-match">
+                <div>
+                  <div className="idea-text">{byId[id].text}</div>
+                  <div className="idea-author">
+                    {byId[id].author}
+                    {idx === 0 ? " · kept when merged" : ""}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+          <div className="cluster-actions">
+            <span className="cluster-meta">
+              up to {Math.round(group.similarity * 100)}% similar
+            </span>
+            <button
+              className="link-button"
+              type="button"
+              onClick={() => onMerge(group.ideaIds)}
+            >
+              Merge as +1s
+            </button>
+            <button
+              className="link-button"
+              type="button"
+              onClick={() => onDismiss(group)}
+            >
+              Not duplicates
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function FilterChips({ options, selected, onChange }) {
+  function toggle(value) {
+    onChange(
+      selected.includes(value)
+        ? selected.filter((v) => v !== value)
+        : [...selected, value]
+    );
+  }
+
+  return (
+    <div className="filter-chips">
+      {options.map(({ value, label, title }) => (
+        <button
+          key={value}
+          className={"chip " + (selected.includes(value) ? "chip-active" : "")}
+          type="button"
+          title={title}
+          onClick={() => toggle(value)}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function FilterBar({
+  filters,
+  onChange,
+  authors,
+  clusters,
+  tags,
+  matchCount,
+  ideaCount,
+  views,
+  onApplyView,
+  onSaveView,
+  onDeleteView,
+  bands = NOVELTY_BANDS
+}) {
+  const [expanded, setExpanded] = useState(false);
+  const activeCount = activeFilterCount(filters);
+  const panelCount = activeCount - (filters.query.trim() ? 1 : 0);
+  const currentView = views.find((view) =>
+    sameFilters({ ...view.filters, themes: viewThemeIds(view, clusters) }, filters)
+  );
+
+  function update(fields) {
+    onChange({ ...filters, ...fields });
+  }
+
+  // Lowest band first, the way the badges read from safe to bold.
+  const bandOptions = bands
+    .slice()
+    .reverse()
+    .map((band, idx, ordered) => ({
+      value: band.level,
+      label: band.label,
+      title:
+        idx < ordered.length - 1
+          ? `Novelty ${band.min}–${ordered[idx + 1].min - 1}`
+          : `Novelty ${band.min} and up`
+    }));
+
+  return (
+    <div className="filter-bar">
+      <div className="filter-row">
+        <input
+          className="filter-search"
+          type="search"
+          value={filters.query}
+          onChange={(e) => update({ query: e.target.value })}
+          placeholder='Search ideas, or "an exact phrase"'
+        />
+        <button
+          className={"chip " + (expanded ? "chip-active" : "")}
+          type="button"
+          onClick={() => setExpanded(!expanded)}
+        >
+          Filters{panelCount > 0 ? ` · ${panelCount}` : ""}
+        </button>
+        <select
+          className="filter-views"
+          value={currentView ? currentView.name : ""}
+          onChange={(e) => {
+            const view = views.find((v) => v.name === e.target.value);
+            if (view) onApplyView(view);
+          }}
+        >
+          <option value="">{views.length ? "Saved views…" : "No saved views"}</option>
+          {views.map((view) => (
+            <option key={view.name} value={view.name}>
+              {view.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {expanded && (
+        <div className="filter-panel">
+          <div className="filter-group">
+            <div className="label">Author</div>
+            {authors.length > 0 ? (
+              <FilterChips
+                options={authors.map((name) => ({ value: name, label: name }))}
+                selected={filters.authors}
+                onChange={(values) => update({ authors: values })}
+              />
+            ) : (
+              <span className="filter-empty">No ideas yet</span>
+            )}
+          </div>
+          <div className="filter-group">
+            <div className="label">Theme</div>
+            {clusters.length > 0 ? (
+              <FilterChips
+                options={clusters.map((cluster) => ({
+                  value: cluster.id,
+                  label: cluster.primaryName
+                }))}
+                selected={filters.themes}
+                onChange={(values) => update({ themes: values })}
+              />
+            ) : (
+              <span className="filter-empty">No themes yet</span>
+            )}
+          </div>
+          <div className="filter-group">
+            <div className="label">Novelty</div>
+            <FilterChips
+              options={bandOptions}
+              selected={filters.bands}
+              onChange={(values) => update({ bands: values })}
+            />
+          </div>
+          {tags.length > 0 && (
+            <div className="filter-group">
+              <div className="label">Tags</div>
+              <FilterChips
+                options={tags.map((tag) => ({ value: tag, label: tag }))}
+                selected={filters.tags}
+                onChange={(values) => update({ tags: values })}
+              />
+            </div>
+          )}
+          <div className="filter-group">
+            <div className="label">Added</div>
+            <div className="filter-dates">
+              <input
+                type="datetime-local"
+                value={filters.from}
+                onChange={(e) => update({ from: e.target.value })}
+                title="Added at or after"
+              />
+              <span>to</span>
+              <input
+                type="datetime-local"
+                value={filters.to}
+                onChange={(e) => update({ to: e.target.value })}
+                title="Added at or before"
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {activeCount > 0 && (
+        <div className="filter-summary">
+          <span>
+            {matchCount} of {ideaCount} idea{ideaCount !== 1 ? "s" : ""} match
+            {currentView ? ` · view “${currentView.name}”` : ""}
+          </span>
+          <span className="cluster-actions">
+            {currentView ? (
+              <button
+                className="link-button"
+                type="button"
+                onClick={() => onDeleteView(currentView)}
+              >
+                Delete view
+              </button>
+            ) : (
+              <button className="link-button" type="button" onClick={onSaveView}>
+                Save as view…
+              </button>
+            )}
+            <button
+              className="link-button"
+              type="button"
+              onClick={() => onChange(EMPTY_FILTERS)}
+            >
+              Clear
+            </button>
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function fileNameFor(name) {
+  return (
+    (name || "board")
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, "-")
+      .replace(/^-+|-+$/g, "") || "board"
+  );
+}
+
+function downloadFile(fileName, content, mimeType) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function BoardSwitcher({
+  workspace,
+  boardMeta,
+  onSwitch,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onToggleArchive,
+  onDelete
+}) {
+  const activeBoards = workspace.boards.filter((b) => !b.archived);
+  const archivedBoards = workspace.boards.filter((b) => b.archived);
+
+  return (
+    <div className="board-switcher">
+      <select
+        className="board-select"
+        value={boardMeta.id}
+        onChange={(e) => onSwitch(e.target.value)}
+        title="Switch board"
+      >
+        {activeBoards.map((b) => (
+          <option key={b.id} value={b.id}>
+            {b.name} ({b.ideaCount})
+          </option>
+        ))}
+        {archivedBoards.length > 0 && (
+          <optgroup label="Archived">
+            {archivedBoards.map((b) => (
+              <option key={b.id} value={b.id}>
+                {b.name} ({b.ideaCount})
+              </option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+      <button className="button-secondary" type="button" onClick={onCreate}>
+        New
+      </button>
+      <button className="button-secondary" type="button" onClick={onRename}>
+        Rename
+      </button>
+      <button className="button-secondary" type="button" onClick={onDuplicate}>
+        Duplicate
+      </button>
+      <button
+        className="button-secondary"
+        type="button"
+        onClick={onToggleArchive}
+      >
+        {boardMeta.archived ? "Unarchive" : "Archive"}
+      </button>
+      <button className="button-secondary" type="button" onClick={onDelete}>
+        Delete
+      </button>
+    </div>
+  );
+}
+
+// Keeps embeddings for `texts` up to date with the configured provider.
+// Returns { embeddings, status } where `embeddings` is the text -> vector
+// cache once every text is embedded, and null while loading, on error or
+// when no provider is enabled (the analysis then uses bag-of-words).
+function useEmbeddings(settings, texts) {
+  const provider = useMemo(
+    () =>
+      settings.enabled && settings.endpoint.trim()
+        ? createHttpEmbeddingProvider({
+            endpoint: settings.endpoint.trim(),
+            model: settings.model.trim(),
+            apiKey: settings.apiKey.trim(),
+            batchSize: settings.batchSize
+          })
+        : null,
+    [settings]
+  );
+  const cache = useMemo(() => new Map(), [provider]);
+  const [status, setStatus] = useState({ state: "off", error: null });
+  const [, setVersion] = useState(0);
+  const textsKey = texts.join("\u0000");
+
+  useEffect(() => {
+    if (!provider) {
+      setStatus({ state: "off", error: null });
+      return undefined;
+    }
+    if (texts.every((t) => cache.has(t))) {
+      setStatus({ state: "ready", error: null });
+      return undefined;
+    }
+
+    let cancelled = false;
+    // Wait for typing to settle before calling the endpoint.
+    const timer = setTimeout(() => {
+      setStatus({ state: "loading", error: null });
+      embedTexts(provider, texts, cache)
+        .then(() => {
+          if (cancelled) return;
+          setStatus({ state: "ready", error: null });
+          setVersion((v) => v + 1);
+        })
+        .catch((err) => {
+          if (cancelled) return;
+          console.warn("Embedding provider failed, using bag-of-words", err);
+          setStatus({ state: "error", error: err.message });
+        });
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [provider, cache, textsKey]);
+
+  const complete = provider && texts.every((t) => cache.has(t));
+  return { embeddings: complete ? cache : null, status };
+}
+
+const ANALYSIS_DEBOUNCE_MS = 300;
+
+// The analysis worker, or null where the browser cannot start one; the
+// analysis then runs on the main thread. Browsers without module workers
+// fail when loading it, which the worker's onerror handles the same way.
+function startAnalysisWorker() {
+  if (typeof Worker === "undefined") return null;
+  try {
+    return new Worker("analysis-worker.js", { type: "module" });
+  } catch (err) {
+    console.warn("Could not start the analysis worker", err);
+    return null;
+  }
+}
+
+// The worker does not send provider embeddings back; they are looked up in
+// the cache the request was made with.
+function withEmbeddingVectors(analysis, request) {
+  if (analysis.ideaVectors) return analysis;
+  const ideaVectors = {};
+  request.ideas.forEach((idea) => {
+    ideaVectors[idea.id] = request.options.embeddings.get(idea.text);
+  });
+  return { ...analysis, ideaVectors };
+}
+
+// Analyses the board in a Web Worker. Typing in the problem statement is
+// debounced; other changes are sent right away. One request is in flight at
+// a time and newer input replaces whatever was waiting, so a slow analysis
+// never builds up a queue. Returns { analysis, upToDate, project, preview }:
+// `analysis` is the latest result, which may be for slightly older input
+// (`upToDate` is false until it catches up), `project(method)` resolves to a
+// semantic map layout and `preview(...)` to an analysis under other options.
+function useAnalysis(problemStatement, ideas, options) {
+  const [worker, setWorker] = useState(startAnalysisWorker);
+  const [result, setResult] = useState(() => ({
+    analysis: computeAnalysis("", []),
+    request: null
+  }));
+  const localRef = useRef(null);
+  const lastRef = useRef(null);
+  const channelRef = useRef(null);
+
+  useEffect(() => {
+    if (!worker) return undefined;
+    const channel = {
+      inFlight: null,
+      waiting: null,
+      embeddings: null,
+      sentTexts: new Set(),
+      projections: new Map(),
+      nextProjectionId: 1,
+      previews: new Map(),
+      nextPreviewId: 1
+    };
+    channelRef.current = channel;
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === "projection") {
+        const resolve = channel.projections.get(message.id);
+        channel.projections.delete(message.id);
+        if (resolve) resolve(message.projection);
+        return;
+      }
+      if (message.type === "preview") {
+        const settle = channel.previews.get(message.id);
+        channel.previews.delete(message.id);
+        if (settle) settle(message);
+        return;
+      }
+      const request = channel.inFlight;
+      channel.inFlight = null;
+      if (message.type === "analysis") {
+        setResult({ analysis: withEmbeddingVectors(message.analysis, request), request });
+      } else {
+        console.warn("Analysis failed", message.error);
+      }
+      if (channel.waiting) {
+        const next = channel.waiting;
+        channel.waiting = null;
+        postAnalysis(worker, channel, next);
+      }
+    };
+    worker.onerror = (event) => {
+      console.warn("Analysis worker failed, analysing on the main thread", event.message);
+      setWorker(null);
+    };
+    return () => {
+      channelRef.current = null;
+      worker.terminate();
+    };
+  }, [worker]);
+
+  useEffect(() => {
+    const request = { problemStatement, ideas, options };
+    const last = lastRef.current;
+    lastRef.current = request;
+    const typing =
+      last &&
+      last.ideas === ideas &&
+      last.options === options &&
+      last.problemStatement !== problemStatement;
+
+    const run = () => {
+      const channel = channelRef.current;
+      if (!worker || !channel) {
+        if (!localRef.current) localRef.current = createAnalyzer();
+        setResult({
+          analysis: localRef.current.analyze(problemStatement, ideas, options),
+          request
+        });
+      } else if (channel.inFlight) {
+        channel.waiting = request;
+      } else {
+        postAnalysis(worker, channel, request);
+      }
+    };
+
+    if (!typing) {
+      run();
+      return undefined;
+    }
+    const timer = setTimeout(run, ANALYSIS_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [problemStatement, ideas, options, worker]);
+
+  function project(method) {
+    const channel = channelRef.current;
+    if (!worker || !channel) {
+      const { analysis, request } = result;
+      return Promise.resolve(
+        projectIdeas(
+          request ? request.ideas : [],
+          analysis.ideaVectors,
+          analysis.problemVector,
+          method
+        )
+      );
+    }
+    const id = channel.nextProjectionId++;
+    return new Promise((resolve) => {
+      channel.projections.set(id, resolve);
+      worker.postMessage({ type: "project", id, method });
+    });
+  }
+
+  // Analyses the board under other options, for previewing settings, without
+  // touching `analysis`. Resolves to the analysis.
+  function preview(problemStatement, ideas, options) {
+    const channel = channelRef.current;
+    if (!worker || !channel) {
+      return Promise.resolve(computeAnalysis(problemStatement, ideas, options));
+    }
+    sendEmbeddings(worker, channel, options.embeddings);
+    const id = channel.nextPreviewId++;
+    return new Promise((resolve, reject) => {
+      channel.previews.set(id, (message) =>
+        message.error ? reject(new Error(message.error)) : resolve(message.analysis)
+      );
+      worker.postMessage({
+        type: "preview",
+        id,
+        problemStatement,
+        ideas,
+        options: { ...options, embeddings: Boolean(options.embeddings) }
+      });
+    });
+  }
+
+  const { request } = result;
+  const upToDate = Boolean(
+    request &&
+      request.ideas === ideas &&
+      request.options === options &&
+      request.problemStatement === problemStatement
+  );
+  return { analysis: result.analysis, upToDate, project, preview };
+}
+
+// Sends any embeddings the worker has not seen yet.
+function sendEmbeddings(worker, channel, embeddings) {
+  if (!embeddings) return;
+  const reset = channel.embeddings !== embeddings;
+  if (reset) {
+    channel.embeddings = embeddings;
+    channel.sentTexts = new Set();
+  }
+  const entries = [];
+  embeddings.forEach((vector, text) => {
+    if (channel.sentTexts.has(text)) return;
+    channel.sentTexts.add(text);
+    entries.push([text, vector]);
+  });
+  if (reset || entries.length > 0) {
+    worker.postMessage({ type: "embeddings", reset, entries });
+  }
+}
+
+function postAnalysis(worker, channel, request) {
+  const { embeddings } = request.options;
+  sendEmbeddings(worker, channel, embeddings);
+  channel.inFlight = request;
+  worker.postMessage({
+    type: "analyze",
+    problemStatement: request.problemStatement,
+    ideas: request.ideas,
+    options: { ...request.options, embeddings: Boolean(embeddings) }
+  });
+}
+
+// Shares the open board with everyone in `room` (null when not live).
+// Local edits are turned into operations after each render; remote ones are
+// merged into the replica and handed to `onRemoteChange` as the new
+// { problemStatement, ideas }. Returns { site, status, peers }.
+function useLiveSync({
+  room,
+  relayUrl,
+  displayName,
+  problemStatement,
+  prompts,
+  customFields,
+  ideas,
+  onRemoteChange
+}) {
+  const [site] = useState(createSiteId);
+  const [status, setStatus] = useState("idle");
+  const [peers, setPeers] = useState({});
+  const replicaRef = useRef(null);
+  const transportRef = useRef(null);
+  const latestRef = useRef(null);
+  latestRef.current = {
+    problemStatement,
+    prompts,
+    customFields,
+    ideas,
+    displayName,
+    onRemoteChange
+  };
+
+  // Large changes, like a whole board, go out in several messages.
+  function sendOps(type, ops) {
+    batchOps(ops).forEach((batch) =>
+      transportRef.current.send({ type, site, ops: batch })
+    );
+  }
+
+  function flushLocal() {
+    const replica = replicaRef.current;
+    if (!replica) return;
+    const ops = localOps(replica, site, latestRef.current);
+    if (ops.length === 0) return;
+    saveReplica(room, replica);
+    sendOps("ops", ops);
+  }
+
+  function sendPresence() {
+    if (!transportRef.current) return;
+    transportRef.current.send({
+      type: "presence",
+      site,
+      name: latestRef.current.displayName.trim()
+    });
+  }
+
+  // Sends the whole replica, then asks peers for theirs.
+  function announce() {
+    flushLocal();
+    sendOps("state", replicaOps(replicaRef.current));
+    transportRef.current.send({ type: "hello", site });
+    sendPresence();
+  }
+
+  function handleMessage(message) {
+    if (!message || message.site === site || !replicaRef.current) return;
+    if (message.type === "presence") {
+      setPeers((current) => ({
+        ...current,
+        [message.site]: { name: String(message.name || ""), seenAt: Date.now() }
+      }));
+      return;
+    }
+    if (message.type === "bye") {
+      setPeers((current) => {
+        const next = { ...current };
+        delete next[message.site];
+        return next;
+      });
+      return;
+    }
+    if (message.type === "hello") {
+      flushLocal();
+      sendOps("state", replicaOps(replicaRef.current));
+      sendPresence();
+      return;
+    }
+    if (!Array.isArray(message.ops)) return;
+
+    // Local edits that have not been sent yet must reach the replica first,
+    // or materializing below would overwrite them.
+    flushLocal();
+    const replica = replicaRef.current;
+    if (applyOps(replica, message.ops.filter(isValidOp))) {
+      saveReplica(room, replica);
+      const next = materializeReplica(replica, latestRef.current);
+      latestRef.current = { ...latestRef.current, ...next };
+      latestRef.current.onRemoteChange(next);
+    }
+  }
+
+  useEffect(() => {
+    if (!room) {
+      setStatus("idle");
+      setPeers({});
+      return undefined;
+    }
+    replicaRef.current = loadReplica(room);
+    const transport = openLiveTransport({
+      room,
+      relayUrl,
+      onMessage: handleMessage,
+      onStatus: setStatus,
+      onConnect: announce
+    });
+    transportRef.current = transport;
+    // The BroadcastChannel is usable straight away.
+    announce();
+
+    const heartbeat = setInterval(() => {
+      sendPresence();
+      setPeers((current) => {
+        const cutoff = Date.now() - PRESENCE_TIMEOUT_MS;
+        const next = {};
+        Object.keys(current).forEach((id) => {
+          if (current[id].seenAt >= cutoff) next[id] = current[id];
+        });
+        return next;
+      });
+    }, PRESENCE_INTERVAL_MS);
+    const sayBye = () => transport.send({ type: "bye", site });
+    window.addEventListener("beforeunload", sayBye);
+
+    return () => {
+      window.removeEventListener("beforeunload", sayBye);
+      clearInterval(heartbeat);
+      sayBye();
+      transport.close();
+      transportRef.current = null;
+      replicaRef.current = null;
+      setPeers({});
+    };
+  }, [room, relayUrl]);
+
+  useEffect(() => {
+    flushLocal();
+  }, [room, problemStatement, prompts, customFields, ideas]);
+
+  useEffect(() => {
+    sendPresence();
+  }, [room, displayName]);
+
+  return {
+    site,
+    status,
+    peers: Object.keys(peers)
+      .map((id) => ({ site: id, name: peers[id].name }))
+      .sort((a, b) => a.name.localeCompare(b.name) || a.site.localeCompare(b.site))
+  };
+}
+
+const LIVE_STATUS_LABELS = {
+  local: "Live between tabs",
+  connecting: "Connecting…",
+  online: "Live",
+  offline: "Offline · retrying"
+};
+
+function LiveSession({ live, status, peers, displayName, onStart, onStop, onCopyInvite }) {
+  if (!live) {
+    return (
+      <div className="live-session">
+        <button
+          className="button-secondary"
+          type="button"
+          onClick={onStart}
+          title="Share this board in real time"
+        >
+          Go live
+        </button>
+      </div>
+    );
+  }
+
+  const people = [
+    { site: "you", name: (displayName.trim() || "Anonymous") + " (you)" },
+    ...peers.map((peer) => ({ ...peer, name: peer.name || "Anonymous" }))
+  ];
+
+  return (
+    <div className="live-session">
+      <span className={"live-status live-status-" + status}>
+        {LIVE_STATUS_LABELS[status] || "Live"}
+      </span>
+      <div className="live-peers" title={people.map((p) => p.name).join(", ")}>
+        {people.slice(0, 6).map((person) => (
+          <span key={person.site} className="live-peer">
+            {person.name.charAt(0).toUpperCase()}
+          </span>
+        ))}
+        {people.length > 6 && (
+          <span className="live-peer live-peer-more">+{people.length - 6}</span>
+        )}
+      </div>
+      <span className="live-count">
+        {people.length} here
+      </span>
+      <button className="button-secondary" type="button" onClick={onCopyInvite}>
+        Copy invite link
+      </button>
+      <button className="button-secondary" type="button" onClick={onStop}>
+        Leave
+      </button>
+    </div>
+  );
+}
+
+function EmbeddingSettings({ settings, onChange, status, vectorSource }) {
+  function update(field, value) {
+    onChange({ ...settings, [field]: value });
+  }
+
+  let statusText = "Off · using the built-in text model";
+  if (settings.enabled) {
+    if (status.state === "loading") statusText = "Embedding ideas…";
+    else if (status.state === "error") {
+      statusText = `Provider failed (${status.error}) · using the built-in text model`;
+    } else if (vectorSource === "embeddings") statusText = "Using provider embeddings";
+    else statusText = "Waiting for embeddings · using the built-in text model";
+  }
+
+  return (
+    <div className="embedding-settings">
+      <label className="checkbox-row">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => update("enabled", e.target.checked)}
+        />
+        <span>Use an embedding endpoint</span>
+      </label>
+      {settings.enabled && (
+        <>
+          <input
+            value={settings.endpoint}
+            onChange={(e) => update("endpoint", e.target.value)}
+            placeholder="https://…/v1/embeddings"
+          />
+          <div className="embedding-settings-row">
+            <input
+              value={settings.model}
+              onChange={(e) => update("model", e.target.value)}
+              placeholder="Model (optional)"
+            />
+            <input
+              type="password"
+              value={settings.apiKey}
+              onChange={(e) => update("apiKey", e.target.value)}
+              placeholder="API key (optional)"
+            />
+          </div>
+          {settings.apiKey && (
+            <label
+              className="checkbox-row"
+              title="Otherwise the key is forgotten when this tab closes"
+            >
+              <input
+                type="checkbox"
+                checked={settings.rememberKey}
+                onChange={(e) => update("rememberKey", e.target.checked)}
+              />
+              <span>Remember the key on this device</span>
+            </label>
+          )}
+        </>
+      )}
+      <div
+        className={
+          "embedding-status " +
+          (settings.enabled && status.state === "error" ? "embedding-status-error" : "")
+        }
+      >
+        {statusText}
+      </div>
+    </div>
+  );
+}
+
+function ClusteringSettings({ options, onChange }) {
+  const algorithm = CLUSTERING_ALGORITHMS[options.algorithm];
+
+  return (
+    <div className="clustering-settings">
+      <select
+        value={options.algorithm}
+        onChange={(e) => onChange({ ...options, algorithm: e.target.value })}
+      >
+        {Object.keys(CLUSTERING_ALGORITHMS).map((key) => (
+          <option key={key} value={key}>
+            {CLUSTERING_ALGORITHMS[key].label}
+          </option>
+        ))}
+      </select>
+      {algorithm && algorithm.usesThreshold && (
+        <label className="range-row">
+          <span>Join similarity</span>
+          <input
+            type="range"
+            min="0.05"
+            max="0.9"
+            step="0.05"
+            value={options.threshold}
+            onChange={(e) =>
+              onChange({ ...options, threshold: Number(e.target.value) })
+            }
+          />
+          <span className="range-value">{options.threshold.toFixed(2)}</span>
+        </label>
+      )}
+      {algorithm && algorithm.usesK && (
+        <label className="range-row">
+          <span>Themes (k)</span>
+          <select
+            value={String(options.k)}
+            onChange={(e) =>
+              onChange({
+                ...options,
+                k: e.target.value === "auto" ? "auto" : Number(e.target.value)
+              })
+            }
+          >
+            <option value="auto">Auto (silhouette)</option>
+            {Array.from({ length: 11 }, (_, i) => i + 2).map((k) => (
+              <option key={k} value={k}>
+                {k}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+}
+
+// Prompt texts are edited in place and saved on blur or Enter, so a prompt
+// is re-analysed once per edit rather than on every keystroke.
+function PromptList({ prompts, onAdd, onEdit, onRemove }) {
+  const [text, setText] = useState("");
+
+  function handleAdd() {
+    if (!text.trim()) return;
+    onAdd(text.trim());
+    setText("");
+  }
+
+  return (
+    <div className="prompt-list">
+      {prompts.map((prompt, idx) => (
+        <div key={prompt.id} className="prompt-row">
+          <span className="prompt-label">Q{idx + 1}</span>
+          <input
+            key={prompt.text}
+            defaultValue={prompt.text}
+            onBlur={(e) => onEdit(prompt, e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") {
+                e.target.blur();
+              } else if (e.key === "Escape") {
+                e.target.value = prompt.text;
+                e.target.blur();
+              }
+            }}
+          />
+          <button
+            className="icon-button"
+            type="button"
+            onClick={() => onRemove(prompt)}
+            title="Remove prompt"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <div className="field-settings-row">
+        <input
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              handleAdd();
+            }
+          }}
+          placeholder="How might we…"
+        />
+        <button
+          className="button-secondary"
+          type="button"
+          onClick={handleAdd}
+          disabled={!text.trim()}
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Edits a draft of the board's settings next to a preview of what they
+// would change; nothing on the board moves until "Apply".
+function BoardSettingsPanel({
+  draft,
+  onChange,
+  preview,
+  previewPending,
+  algorithm,
+  presets,
+  onSavePreset,
+  onDeletePreset,
+  onApply,
+  onCancel
+}) {
+  const currentPreset =
+    presets.find((preset) => matchesPreset(draft, preset)) || null;
+  const currentBuiltIn = currentPreset
+    ? null
+    : BUILT_IN_PRESETS.find((preset) => matchesPreset(draft, preset)) || null;
+
+  function update(fields) {
+    onChange(normalizeSettings(fields, draft));
+  }
+
+  function updateBand(level, fields) {
+    update({
+      bands: draft.bands.map((band) =>
+        band.level === level ? { ...band, ...fields } : band
+      )
+    });
+  }
+
+  // Typed values are applied on blur (or Enter), so a half-typed number is
+  // not clamped while someone is still typing it.
+  function blurOnEnter(e) {
+    if (e.key === "Enter") e.currentTarget.blur();
+  }
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal settings-modal" role="dialog" aria-label="Board settings">
+        <div className="panel-title">Board settings</div>
+        <div className="settings-presets">
+          <select
+            value={
+              currentPreset
+                ? `saved:${currentPreset.name}`
+                : currentBuiltIn
+                ? `built-in:${currentBuiltIn.name}`
+                : ""
+            }
+            onChange={(e) => {
+              const [kind, ...rest] = e.target.value.split(":");
+              const name = rest.join(":");
+              const preset = (kind === "saved" ? presets : BUILT_IN_PRESETS).find(
+                (p) => p.name === name
+              );
+              if (preset) onChange(normalizeSettings(preset.settings, draft));
+            }}
+          >
+            <option value="">Presets…</option>
+            <optgroup label="Built in">
+              {BUILT_IN_PRESETS.map((preset) => (
+                <option key={preset.name} value={`built-in:${preset.name}`}>
+                  {preset.name}
+                </option>
+              ))}
+            </optgroup>
+            {presets.length > 0 && (
+              <optgroup label="Saved">
+                {presets.map((preset) => (
+                  <option key={preset.name} value={`saved:${preset.name}`}>
+                    {preset.name}
+                  </option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+          {currentPreset ? (
+            <button
+              className="link-button"
+              type="button"
+              onClick={() => onDeletePreset(currentPreset)}
+            >
+              Delete preset
+            </button>
+          ) : (
+            <button className="link-button" type="button" onClick={onSavePreset}>
+              Save as preset…
+            </button>
+          )}
+        </div>
+
+        <div className="settings-section">
+          <div className="label">Themes</div>
+          <label className="range-row">
+            <span>Join similarity</span>
+            <input
+              type="range"
+              min="0.05"
+              max="0.9"
+              step="0.05"
+              value={draft.threshold}
+              onChange={(e) => update({ threshold: Number(e.target.value) })}
+            />
+            <span className="range-value">{draft.threshold.toFixed(2)}</span>
+          </label>
+          {algorithm && !algorithm.usesThreshold && (
+            <div className="explain-note">
+              {algorithm.label} picks a number of themes instead; the join
+              similarity applies to the other algorithms.
+            </div>
+          )}
+          <div className="label">Words to ignore</div>
+          <input
+            key={draft.ignoredWords.join(" ")}
+            type="text"
+            defaultValue={draft.ignoredWords.join(", ")}
+            placeholder="Stop words and domain words, e.g. app, acme"
+            onBlur={(e) => update({ ignoredWords: parseWordList(e.target.value) })}
+            onKeyDown={blurOnEnter}
+          />
+        </div>
+
+        <div className="settings-section">
+          <div className="label">Novelty</div>
+          <label className="range-row">
+            <span>Neighbours compared</span>
+            <input
+              key={draft.neighbors}
+              type="number"
+              min={NEIGHBOR_RANGE.min}
+              max={NEIGHBOR_RANGE.max}
+              defaultValue={draft.neighbors}
+              onBlur={(e) => update({ neighbors: e.target.value })}
+              onKeyDown={blurOnEnter}
+            />
+          </label>
+          {draft.bands.map((band) => (
+            <div key={band.level} className="settings-band">
+              <span className={`novelty-badge novelty-${band.level}`}>{band.label}</span>
+              <input
+                key={band.label}
+                type="text"
+                defaultValue={band.label}
+                aria-label={`Name of the ${band.level} band`}
+                onBlur={(e) => updateBand(band.level, { label: e.target.value })}
+                onKeyDown={blurOnEnter}
+              />
+              {band.level === "low" ? (
+                <span className="settings-band-min">from 0</span>
+              ) : (
+                <label className="settings-band-min">
+                  from
+                  <input
+                    key={band.min}
+                    type="number"
+                    min="1"
+                    max="100"
+                    defaultValue={band.min}
+                    onBlur={(e) => updateBand(band.level, { min: e.target.value })}
+                    onKeyDown={blurOnEnter}
+                  />
+                </label>
+              )}
+            </div>
+          ))}
+          <label className="range-row">
+            <span>Standout toast from (absolute score)</span>
+            <input
+              key={draft.standoutScore}
+              type="number"
+              min="0"
+              max="100"
+              defaultValue={draft.standoutScore}
+              onBlur={(e) => update({ standoutScore: e.target.value })}
+              onKeyDown={blurOnEnter}
+            />
+          </label>
+        </div>
+
+        <SettingsPreview preview={preview} pending={previewPending} />
+
+        <div className="button-row">
+          <button className="button-secondary" type="button" onClick={onCancel}>
+            Cancel
+          </button>
+          <button className="button-primary" type="button" onClick={onApply}>
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const PREVIEW_SHIFT_LIMIT = 5;
+
+// `pending` while the preview is being worked out for the latest draft; an
+// older preview stays on screen, dimmed, until then.
+function SettingsPreview({ preview, pending }) {
+  if (!preview) {
+    return (
+      <div className="settings-preview explain-note">
+        {pending
+          ? "Working out the preview…"
+          : "Add a few ideas to preview how these settings change the board."}
+      </div>
+    );
+  }
+  const { themes, bands, shifts, standouts } = preview;
+  return (
+    <div
+      className={"settings-preview" + (pending ? " settings-preview-pending" : "")}
+    >
+      <div className="label">Preview{pending ? " · updating…" : ""}</div>
+      <div className="stat-row">
+        <span className="stat-label">Themes</span>
+        <span className="stat-value">
+          {themes.before} → {themes.after}
+          {themes.moved > 0 &&
+            ` · ${themes.moved} idea${themes.moved !== 1 ? "s" : ""} regrouped`}
+        </span>
+      </div>
+      <div className="settings-preview-themes">
+        {preview.names.map((theme) => (
+          <span key={theme.id} className="gap-term">
+            {theme.name} ({theme.size})
+          </span>
+        ))}
+      </div>
+      <div className="settings-preview-bands">
+        {bands.map((band) => (
+          <span key={band.level} className={`novelty-badge novelty-${band.level}`}>
+            {band.label} {band.before} → {band.after}
+          </span>
+        ))}
+      </div>
+      <div className="stat-row">
+        <span className="stat-label">Standouts</span>
+        <span className="stat-value">
+          {standouts.before} → {standouts.after}
+        </span>
+      </div>
+      {shifts.slice(0, PREVIEW_SHIFT_LIMIT).map(({ idea, from, to }) => (
+        <div key={idea.id} className="explain-neighbor">
+          <span>{idea.text}</span>
+          <span className="explain-value">
+            {from.label} {from.score} → {to.label} {to.score}
+          </span>
+        </div>
+      ))}
+      {shifts.length > PREVIEW_SHIFT_LIMIT && (
+        <div className="explain-note">
+          and {shifts.length - PREVIEW_SHIFT_LIMIT} more badge changes
+        </div>
+      )}
+    </div>
+  );
+}
+
+function CustomFieldSettings({ fields, onAdd, onRemove }) {
+  const [name, setName] = useState("");
+  const [type, setType] = useState("enum");
+  const [options, setOptions] = useState("");
+  const choices = uniqueLabels(options);
+  const canAdd = name.trim() !== "" && (type !== "enum" || choices.length > 0);
+
+  function handleAdd() {
+    if (!canAdd) return;
+    onAdd({ name, type, options: choices });
+    setName("");
+    setOptions("");
+  }
+
+  return (
+    <div className="field-settings">
+      {fields.map((def) => (
+        <div key={def.id} className="field-def">
+          <span>
+            {def.name}{" "}
+            <span className="field-def-type">
+              {FIELD_TYPES[def.type].label}
+              {def.type === "enum" ? ` · ${def.options.join(", ")}` : ""}
+            </span>
+          </span>
+          <button
+            className="icon-button"
+            type="button"
+            onClick={() => onRemove(def)}
+            title="Remove field"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <div className="field-settings-row">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="New field, e.g. Feasibility"
+        />
+        <select value={type} onChange={(e) => setType(e.target.value)}>
+          {Object.keys(FIELD_TYPES).map((key) => (
+            <option key={key} value={key}>
+              {FIELD_TYPES[key].label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {type === "enum" && (
+        <input
+          value={options}
+          onChange={(e) => setOptions(e.target.value)}
+          placeholder="Choices, e.g. low, medium, high"
+        />
+      )}
+      <button
+        className="button-secondary"
+        type="button"
+        onClick={handleAdd}
+        disabled={!canAdd}
+      >
+        Add field
+      </button>
+    </div>
+  );
+}
+
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 1000;
+
+function App() {
+  const [initial] = useState(loadWorkspace);
+  const [workspace, setWorkspace] = useState(initial.workspace);
+  const [boardMeta, setBoardMeta] = useState(() => ({
+    id: initial.board.id,
+    name: initial.board.name,
+    archived: initial.board.archived,
+    createdAt: initial.board.createdAt
+  }));
+  const [problemStatement, setProblemStatement] = useState(
+    initial.board.problemStatement
+  );
+  const [displayName, setDisplayName] = useState("");
+  const [ideaText, setIdeaText] = useState("");
+  const [entryMode, setEntryMode] = useState("single");
+  const [bulkText, setBulkText] = useState("");
+  const [bulkReadAuthors, setBulkReadAuthors] = useState(true);
+  const [ideas, setIdeas] = useState(initial.board.ideas);
+  const [analysisOptions, setAnalysisOptions] = useState(
+    initial.board.analysisOptions
+  );
+  const [curation, setCuration] = useState(initial.board.curation);
+  const [voting, setVoting] = useState(initial.board.voting);
+  const [session, setSession] = useState(initial.board.session);
+  const [scoreHistory, setScoreHistory] = useState(initial.board.scoreHistory);
+  const [savedViews, setSavedViews] = useState(initial.board.savedViews);
+  const [customFields, setCustomFields] = useState(initial.board.customFields);
+  const [prompts, setPrompts] = useState(initial.board.prompts);
+  const [badgeSettings, setBadgeSettings] = useState(initial.board.badgeSettings);
+  // The settings panel's draft while it is open, otherwise null.
+  const [settingsDraft, setSettingsDraft] = useState(null);
+  const [entryPromptId, setEntryPromptId] = useState("");
+  const [starterTechnique, setStarterTechnique] = useState("all");
+  const [starterRound, setStarterRound] = useState(0);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [now, setNow] = useState(() => Date.now());
+  const [topRanking, setTopRanking] = useState("novelty");
+  const [mapMethod, setMapMethod] = useState("pca");
+  const [mapSelection, setMapSelection] = useState(null);
+  const [explainIdeaId, setExplainIdeaId] = useState(null);
+  const [pendingDuplicate, setPendingDuplicate] = useState(null);
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [dismissedDuplicates, setDismissedDuplicates] = useState([]);
+  const [draggedIdeaId, setDraggedIdeaId] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+  const [viewMode, setViewMode] = useState("affinity");
+  const [groupBy, setGroupBy] = useState("themes");
+  const [toast, setToast] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+
+  const ideaIdRef = useRef(initial.board.nextIdeaId);
+  const toastTimeoutRef = useRef(null);
+  const standoutCheckRef = useRef(new Set());
+  const importInputRef = useRef(null);
+  const problemInputRef = useRef(null);
+  const historyRef = useRef({ past: [], future: [], lastKind: null, lastAt: 0 });
+  const [, setHistoryVersion] = useState(0);
+
+  const [embeddingSettings, setEmbeddingSettings] = useState(
+    loadEmbeddingSettings
+  );
+  const analysisTexts = useMemo(
+    () =>
+      (problemStatement.trim() ? [problemStatement] : []).concat(
+        prompts.map((prompt) => prompt.text),
+        ideas.map((idea) => idea.text)
+      ),
+    [problemStatement, prompts, ideas]
+  );
+  const { embeddings, status: embeddingStatus } = useEmbeddings(
+    embeddingSettings,
+    analysisTexts
+  );
+
+  // The embedding cache fills in place, so its status stands in for changes.
+  const analysisInput = useMemo(
+    () => ({ ...analysisOptions, embeddings, curation, prompts }),
+    [analysisOptions, curation, prompts, embeddings, embeddingStatus]
+  );
+  const {
+    analysis,
+    upToDate: analysisUpToDate,
+    project: projectAnalysis,
+    preview: previewAnalysis
+  } = useAnalysis(problemStatement, ideas, analysisInput);
+
+  useEffect(() => {
+    saveEmbeddingSettings(embeddingSettings);
+  }, [embeddingSettings]);
+
+  const [syncSettings, setSyncSettings] = useState(loadSyncSettings);
+  const [liveRoom, setLiveRoom] = useState(null);
+  const live = useLiveSync({
+    room: liveRoom,
+    relayUrl: syncSettings.relayUrl,
+    displayName,
+    problemStatement,
+    prompts,
+    customFields,
+    ideas,
+    onRemoteChange: (next) => {
+      setProblemStatement(next.problemStatement);
+      setPrompts(normalizePrompts(next.prompts));
+      setCustomFields(normalizeFieldDefs(next.customFields));
+      setIdeas(next.ideas);
+    }
+  });
+
+  // Looked up when the board or the live room changes rather than on every
+  // add, since it reads the stored replica.
+  const shared = useMemo(
+    () => liveRoom !== null || hasReplica(workspace.activeBoardId),
+    [liveRoom, workspace.activeBoardId]
+  );
+
+  useEffect(() => {
+    writeStorage(SYNC_SETTINGS_KEY, syncSettings);
+  }, [syncSettings]);
+
+  const [settingsPresets, setSettingsPresets] = useState(loadSettingsPresets);
+  useEffect(() => {
+    writeStorage(SETTINGS_PRESETS_KEY, settingsPresets);
+  }, [settingsPresets]);
+
+  // An invite link opens (or creates) the shared board and joins its room.
+  useEffect(() => {
+    const invite = parseInvite(window.location.hash);
+    if (!invite) return;
+    let board = loadBoard(invite.boardId);
+    if (!board) {
+      board = { ...createBoard(invite.name), id: invite.boardId };
+      saveBoard(board);
+    }
+    if (invite.relayUrl !== null) {
+      setSyncSettings((settings) => ({ ...settings, relayUrl: invite.relayUrl }));
+    }
+    openBoard(board);
+    setLiveRoom(board.id);
+  }, []);
+
+  // Keep the address bar on the invite link while live, so a reload rejoins.
+  useEffect(() => {
+    if (liveRoom) {
+      window.history.replaceState(
+        null,
+        "",
+        inviteLink(liveRoom, boardMeta.name, syncSettings.relayUrl)
+      );
+    } else if (parseInvite(window.location.hash)) {
+      window.history.replaceState(null, "", window.location.href.split("#")[0]);
+    }
+  }, [liveRoom, boardMeta.name, syncSettings.relayUrl]);
+
+  const bulkPreview = useMemo(
+    () =>
+      parseBulkIdeas(bulkText, {
+        readAuthors: bulkReadAuthors,
+        defaultAuthor: displayName.trim() || "Anonymous"
+      }),
+    [bulkText, bulkReadAuthors, displayName]
+  );
+
+  const duplicateGroups = useMemo(
+    () =>
+      showDuplicates ? findDuplicateGroups(ideas, analysis.ideaVectors) : [],
+    [showDuplicates, ideas, analysis]
+  );
+  const visibleDuplicateGroups = duplicateGroups.filter(
+    (group) => !dismissedDuplicates.includes(group.ideaIds.join(","))
+  );
+
+  const voter = displayName.trim();
+  const totals = useMemo(() => voteTotals(voting, ideas), [voting, ideas]);
+  const showTallies = talliesVisible(voting);
+  const votesLeft = voter
+    ? voting.votesPerPerson - votesUsedBy(voting, voter, ideas)
+    : 0;
+  // Vote-based rankings would leak hidden tallies, so fall back to novelty.
+  const effectiveRanking = showTallies ? topRanking : "novelty";
+  const filteredIdeas = useMemo(
+    () => filterIdeas(ideas, filters, analysis, badgeSettings.bands),
+    [ideas, filters, analysis, badgeSettings]
+  );
+  const search = useMemo(() => compileSearch(filters.query), [filters.query]);
+  const filtersActive = filteredIdeas !== ideas;
+  const topIdeas = useMemo(
+    () =>
+      rankIdeas(filteredIdeas, analysis.noveltyById, totals, effectiveRanking).slice(
+        0,
+        5
+      ),
+    [filteredIdeas, analysis, totals, effectiveRanking]
+  );
+  const authorNames = useMemo(() => {
+    const names = new Set();
+    ideas.forEach((idea) => {
+      names.add(idea.author);
+      (idea.coAuthors || []).forEach((name) => names.add(name));
+    });
+    return [...names].sort((a, b) => a.localeCompare(b));
+  }, [ideas]);
+  const boardTags = useMemo(() => {
+    const tags = new Set();
+    ideas.forEach((idea) => (idea.tags || []).forEach((tag) => tags.add(tag)));
+    return [...tags].sort((a, b) => a.localeCompare(b));
+  }, [ideas]);
+
+  // Falls back to free-floating when the picked prompt has been removed.
+  const entryPrompt = prompts.find((prompt) => prompt.id === entryPromptId) || null;
+
+  // Recorded scores for the sparkline, in the scoring mode on display.
+  function historyFor(idea) {
+    return (scoreHistory[idea.id] || []).map((point) => point[analysis.scoring]);
+  }
+
+  function voteProps(idea) {
+    if (voting.status === "idle") return {};
+    const mine = (voting.votes[voter] || {})[idea.id] || 0;
+    return {
+      votes: showTallies ? totals[idea.id] : null,
+      myVotes: mine,
+      onVote:
+        voting.status === "open" && voter
+          ? (delta) =>
+              setVoting(castVote(voting, voter, idea.id, delta, ideas))
+          : null,
+      canVoteMore:
+        votesLeft > 0 && mine < voting.maxPerIdea
+    };
+  }
+
+  function promptProps(idea) {
+    if (prompts.length === 0) return {};
+    return {
+      prompts,
+      servedPromptIds: servedPromptIds(idea, prompts, analysis.noveltyDetails)
+    };
+  }
+
+  // The stored form of the open board, built from the current state.
+  function snapshotBoard() {
+    return {
+      ...boardMeta,
+      schemaVersion: BOARD_SCHEMA_VERSION,
+      updatedAt: new Date().toISOString(),
+      problemStatement,
+      ideas,
+      analysisOptions,
+      curation,
+      voting,
+      session,
+      scoreHistory,
+      savedViews,
+      customFields,
+      prompts,
+      badgeSettings,
+      nextIdeaId: ideaIdRef.current
+    };
+  }
+
+  // Undo/redo keeps whole-board snapshots of the parts people edit: the
+  // problem statement and its prompts, the ideas, the manual theme curation
+  // and the custom idea fields.
+  function historySnapshot() {
+    return { problemStatement, prompts, ideas, curation, customFields };
+  }
+
+  function restoreSnapshot(snapshot) {
+    setProblemStatement(snapshot.problemStatement);
+    setPrompts(snapshot.prompts);
+    setIdeas(snapshot.ideas);
+    setCuration(snapshot.curation);
+    setCustomFields(snapshot.customFields);
+  }
+
+  // Call before a change. Bursts of typing in the problem statement are
+  // coalesced into one undo step.
+  function recordHistory(kind) {
+    const history = historyRef.current;
+    const now = Date.now();
+    const coalesce =
+      kind === "problem" &&
+      history.lastKind === "problem" &&
+      now - history.lastAt < HISTORY_COALESCE_MS;
+    history.lastKind = kind;
+    history.lastAt = now;
+    if (coalesce) return;
+    history.past.push(historySnapshot());
+    if (history.past.length > HISTORY_LIMIT) history.past.shift();
+    history.future = [];
+    setHistoryVersion((v) => v + 1);
+  }
+
+  function handleUndo() {
+    const history = historyRef.current;
+    if (history.past.length === 0) return;
+    history.future.push(historySnapshot());
+    restoreSnapshot(history.past.pop());
+    history.lastKind = null;
+    setHistoryVersion((v) => v + 1);
+  }
+
+  function handleRedo() {
+    const history = historyRef.current;
+    if (history.future.length === 0) return;
+    history.past.push(historySnapshot());
+    restoreSnapshot(history.future.pop());
+    history.lastKind = null;
+    setHistoryVersion((v) => v + 1);
+  }
+
+  // Ctrl/⌘+Z and Ctrl/⌘+Shift+Z (or Ctrl+Y) anywhere on the page. Inside a
+  // text field that has content of its own (the idea box, an inline edit),
+  // the browser's text undo wins; the problem statement is a board field
+  // and goes through board history.
+  const undoKeyHandlerRef = useRef(null);
+  undoKeyHandlerRef.current = (e) => {
+    if (!(e.metaKey || e.ctrlKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    const isUndo = key === "z" && !e.shiftKey;
+    const isRedo = (key === "z" && e.shiftKey) || (key === "y" && !e.shiftKey);
+    if (!isUndo && !isRedo) return;
+    const target = e.target;
+    const isField =
+      target &&
+      (target.tagName === "TEXTAREA" || target.tagName === "INPUT") &&
+      target !== problemInputRef.current;
+    if (isField && target.value) return;
+    e.preventDefault();
+    if (isUndo) handleUndo();
+    else handleRedo();
+  };
+
+  useEffect(() => {
+    const listener = (e) => undoKeyHandlerRef.current(e);
+    window.addEventListener("keydown", listener);
+    return () => window.removeEventListener("keydown", listener);
+  }, []);
+
+  // Tick once a second while a round runs, and close the round when its time
+  // is up (also straight after a reload that lands past the deadline).
+  useEffect(() => {
+    if (!session.current) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [session.current]);
+
+  useEffect(() => {
+    if (session.current && now >= Date.parse(session.current.endsAt)) {
+      setSession(endRound(session, session.current.endsAt));
+      showToast(`Time's up for “${session.current.name}”`);
+    }
+  }, [now, session]);
+
+  // Results for older input (another board, or ideas since edited) are
+  // shown while the next one is computed, but never recorded.
+  useEffect(() => {
+    if (!analysisUpToDate) return;
+    setScoreHistory((history) =>
+      recordScoreHistory(history, ideas, analysis.noveltyByMode)
+    );
+
+    // Standouts are judged on the absolute score, which does not depend on
+    // what else happens to be on the board.
+    const waiting = standoutCheckRef.current;
+    const standoutCount = ideas.filter((idea) => {
+      if (!waiting.has(idea.id)) return false;
+      waiting.delete(idea.id);
+      const score = analysis.noveltyByMode.absolute[idea.id];
+      return typeof score === "number" && score >= badgeSettings.standoutScore;
+    }).length;
+    if (standoutCount > 0) {
+      showToast(
+        standoutCount === 1
+          ? "Standout idea! High novelty detected 🔥"
+          : `${standoutCount} standout ideas! High novelty detected 🔥`
+      );
+    }
+  }, [analysis, analysisUpToDate]);
+
+  // Autosave the open board and keep its entry in the switcher current.
+  useEffect(() => {
+    const board = snapshotBoard();
+    saveBoard(board);
+    setWorkspace((ws) => ({
+      ...ws,
+      boards: ws.boards.map((b) => (b.id === board.id ? summarizeBoard(board) : b))
+    }));
+  }, [
+    boardMeta,
+    problemStatement,
+    ideas,
+    analysisOptions,
+    curation,
+    voting,
+    session,
+    scoreHistory,
+    savedViews,
+    customFields,
+    prompts,
+    badgeSettings
+  ]);
+
+  useEffect(() => {
+    saveWorkspace(workspace);
+  }, [workspace]);
+
+  function openBoard(board) {
+    setBoardMeta({
+      id: board.id,
+      name: board.name,
+      archived: board.archived,
+      createdAt: board.createdAt
+    });
+    setProblemStatement(board.problemStatement);
+    setIdeas(board.ideas);
+    setAnalysisOptions(board.analysisOptions);
+    setCuration(board.curation);
+    setVoting(board.voting);
+    setSession(board.session);
+    setScoreHistory(board.scoreHistory);
+    setSavedViews(board.savedViews);
+    setCustomFields(board.customFields);
+    setPrompts(board.prompts);
+    setBadgeSettings(board.badgeSettings);
+    setSettingsDraft(null);
+    setEntryPromptId("");
+    setFilters(EMPTY_FILTERS);
+    setMapSelection(null);
+    setExplainIdeaId(null);
+    setLiveRoom(null);
+    historyRef.current = { past: [], future: [], lastKind: null, lastAt: 0 };
+    standoutCheckRef.current = new Set();
+    setHistoryVersion((v) => v + 1);
+    setIdeaText("");
+    ideaIdRef.current = board.nextIdeaId;
+    setWorkspace((ws) => ({
+      activeBoardId: board.id,
+      boards: ws.boards.some((b) => b.id === board.id)
+        ? ws.boards
+        : [...ws.boards, summarizeBoard(board)]
+    }));
+  }
+
+  // Opens the most recently edited board other than `excludeId`, or a fresh
+  // one when nothing else is left.
+  function openFallbackBoard(excludeId) {
+    const candidates = workspace.boards
+      .filter((b) => b.id !== excludeId && !b.archived)
+      .sort((a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""));
+    const board = candidates.length ? loadBoard(candidates[0].id) : null;
+    if (board) {
+      openBoard(board);
+      return;
+    }
+    const fresh = createBoard("Untitled board");
+    saveBoard(fresh);
+    openBoard(fresh);
+  }
+
+  function handleSwitchBoard(id) {
+    if (id === boardMeta.id) return;
+    const board = loadBoard(id);
+    if (board) openBoard(board);
+  }
+
+  function handleCreateBoard() {
+    const name = window.prompt("Name for the new board", "Untitled board");
+    if (name === null) return;
+    const board = createBoard(name.trim() || "Untitled board");
+    saveBoard(board);
+    openBoard(board);
+  }
+
+  function handleRenameBoard() {
+    const name = window.prompt("Rename board", boardMeta.name);
+    if (name === null || !name.trim()) return;
+    setBoardMeta({ ...boardMeta, name: name.trim() });
+  }
+
+  function handleDuplicateBoard() {
+    const board = createBoard(
+      `${boardMeta.name} (copy)`,
+      boardContent(snapshotBoard())
+    );
+    saveBoard(board);
+    openBoard(board);
+  }
+
+  function handleToggleArchive() {
+    if (boardMeta.archived) {
+      setBoardMeta({ ...boardMeta, archived: false });
+      return;
+    }
+    const archivedId = boardMeta.id;
+    saveBoard({ ...snapshotBoard(), archived: true });
+    setWorkspace((ws) => ({
+      ...ws,
+      boards: ws.boards.map((b) =>
+        b.id === archivedId ? { ...b, archived: true } : b
+      )
+    }));
+    openFallbackBoard(archivedId);
+  }
+
+  function handleDeleteBoard() {
+    const confirmed = window.confirm(
+      `Delete "${boardMeta.name}" and its ${ideas.length} idea${
+        ideas.length !== 1 ? "s" : ""
+      }? This cannot be undone.`
+    );
+    if (!confirmed) return;
+    const deletedId = boardMeta.id;
+    deleteStoredBoard(deletedId);
+    setWorkspace((ws) => ({
+      ...ws,
+      boards: ws.boards.filter((b) => b.id !== deletedId)
+    }));
+    openFallbackBoard(deletedId);
+  }
+
+  function handleGoLive() {
+    const relayUrl = window.prompt(
+      "Relay server address (leave empty to share only between tabs on this computer)",
+      syncSettings.relayUrl
+    );
+    if (relayUrl === null) return;
+    setSyncSettings({ ...syncSettings, relayUrl: relayUrl.trim() });
+    setLiveRoom(boardMeta.id);
+  }
+
+  function handleCopyInvite() {
+    const link = inviteLink(boardMeta.id, boardMeta.name, syncSettings.relayUrl);
+    if (navigator.clipboard) {
+      navigator.clipboard
+        .writeText(link)
+        .then(() => showToast("Invite link copied"))
+        .catch(() => window.prompt("Copy this invite link", link));
+    } else {
+      window.prompt("Copy this invite link", link);
+    }
+  }
+
+  function showToast(message) {
+    if (toastTimeoutRef.current) {
+      clearTimeout(toastTimeoutRef.current);
+    }
+    setToast(message);
+    toastTimeoutRef.current = setTimeout(() => {
+      setToast(null);
+    }, 3200);
+  }
+
+  // Adds a batch of { text, author } drafts in one state update, so the
+  // analysis only runs once however many stickies arrive together. They are
+  // attached to the prompt picked above the idea box, if any.
+  function addIdeas(drafts) {
+    const createdAt = new Date().toISOString();
+    const newIdeas = drafts.map((draft) => ({
+      id: newIdeaId(ideaIdRef.current++, shared ? live.site : null),
+      text: draft.text,
+      author: draft.author,
+      coAuthors: [],
+      tags: [],
+      fields: {},
+      promptId: entryPrompt ? entryPrompt.id : null,
+      roundId: session.current ? session.current.id || null : null,
+      createdAt
+    }));
+
+    // Celebrated once the analysis has scored them. New texts have no
+    // embedding yet, so with a provider enabled that first score comes from
+    // the built-in model.
+    newIdeas.forEach((idea) => standoutCheckRef.current.add(idea.id));
+
+    recordHistory("add");
+    setIdeas([...ideas, ...newIdeas]);
+  }
+
+  function handleAddIdea() {
+    const trimmed = ideaText.trim();
+    if (!trimmed || inputLocked) return;
+
+    const draft = { text: trimmed, author: displayName.trim() || "Anonymous" };
+    const draftVector =
+      analysis.vectorSource === "embeddings"
+        ? embeddings.get(trimmed) || null
+        : vectorizeText(analysis, trimmed);
+    const matches = findSimilarIdeas(draftVector, ideas, analysis.ideaVectors);
+    if (matches.length > 0) {
+      setPendingDuplicate({ draft, matches: matches.slice(0, 3) });
+      return;
+    }
+
+    addIdeas([draft]);
+    setIdeaText("");
+  }
+
+  function handleAddDuplicateAnyway() {
+    addIdeas([pendingDuplicate.draft]);
+    setPendingDuplicate(null);
+    setIdeaText("");
+  }
+
+  // Merging into an idea the author already has a name on changes nothing,
+  // so it leaves no undo step and says why the draft went.
+  function handleMergeDraftInto(ideaId) {
+    const { author } = pendingDuplicate.draft;
+    const target = ideas.find((idea) => idea.id === ideaId);
+    const merged = target && addCoAuthors(target, [author]);
+    if (!target) {
+      showToast("That idea has been removed");
+    } else if (merged.coAuthors.length === (target.coAuthors || []).length) {
+      showToast(`${author} is already on that idea`);
+    } else {
+      recordHistory("edit");
+      setIdeas(ideas.map((idea) => (idea.id === ideaId ? merged : idea)));
+    }
+    setPendingDuplicate(null);
+    setIdeaText("");
+  }
+
+  function handleMergeDuplicateGroup(ideaIds) {
+    const [primaryId, ...rest] = ideaIds;
+    recordHistory("edit");
+    setIdeas(mergeDuplicateIdeas(ideas, primaryId, rest));
+    setCuration(pruneCuration(unpinIdeas(curation, rest)));
+  }
+
+  function handleMergeAllDuplicates() {
+    let nextIdeas = ideas;
+    let nextCuration = curation;
+    visibleDuplicateGroups.forEach(({ ideaIds }) => {
+      const [primaryId, ...rest] = ideaIds;
+      nextIdeas = mergeDuplicateIdeas(nextIdeas, primaryId, rest);
+      nextCuration = unpinIdeas(nextCuration, rest);
+    });
+    recordHistory("edit");
+    setIdeas(nextIdeas);
+    setCuration(pruneCuration(nextCuration));
+  }
+
+  function handleAddBulkIdeas() {
+    if (bulkPreview.length === 0 || inputLocked) return;
+    addIdeas(bulkPreview);
+    setBulkText("");
+  }
+
+  function updateCuration(nextCuration) {
+    recordHistory("curation");
+    setCuration(nextCuration);
+  }
+
+  function handleProblemChange(value) {
+    recordHistory("problem");
+    setProblemStatement(value);
+  }
+
+  function handleEditIdea(id, changes) {
+    const text = changes.text.trim();
+    const author = changes.author.trim() || "Anonymous";
+    const { tags, fields } = changes;
+    const promptId = changes.promptId || null;
+    const current = ideas.find((idea) => idea.id === id);
+    if (!text || !current) return;
+    if (
+      current.text === text &&
+      current.author === author &&
+      JSON.stringify(current.tags) === JSON.stringify(tags) &&
+      JSON.stringify(current.fields) === JSON.stringify(fields) &&
+      (current.promptId || null) === promptId
+    ) {
+      return;
+    }
+    recordHistory("edit");
+    setIdeas(
+      ideas.map((idea) =>
+        idea.id === id
+          ? { ...idea, text, author, tags, fields, promptId }
+          : idea
+      )
+    );
+  }
+
+  function handleAddPrompt(text) {
+    recordHistory("prompts");
+    setPrompts(addPrompt(prompts, text));
+  }
+
+  function handleEditPrompt(prompt, text) {
+    if (!text.trim() || text.trim() === prompt.text) return;
+    recordHistory("prompts");
+    setPrompts(
+      prompts.map((p) => (p.id === prompt.id ? { ...p, text: text.trim() } : p))
+    );
+  }
+
+  // Ideas attached to a removed prompt become free-floating.
+  function handleRemovePrompt(prompt) {
+    const attached = ideas.filter((idea) => idea.promptId === prompt.id);
+    if (
+      attached.length > 0 &&
+      !window.confirm(
+        `Remove this prompt? ${attached.length} idea${
+          attached.length !== 1 ? "s" : ""
+        } attached to it will become free-floating.`
+      )
+    ) {
+      return;
+    }
+    recordHistory("prompts");
+    setPrompts(prompts.filter((p) => p.id !== prompt.id));
+    if (attached.length === 0) return;
+    setIdeas(
+      ideas.map((idea) =>
+        idea.promptId === prompt.id ? { ...idea, promptId: null } : idea
+      )
+    );
+  }
+
+  function handleAddField(def) {
+    recordHistory("fields");
+    setCustomFields(addFieldDef(customFields, def));
+  }
+
+  // Values of a removed field are dropped from the ideas too.
+  function handleRemoveField(def) {
+    const used = ideas.filter((idea) => (idea.fields || {})[def.id] !== undefined);
+    if (
+      used.length > 0 &&
+      !window.confirm(
+        `Remove the field "${def.name}" and its values on ${used.length} idea${
+          used.length !== 1 ? "s" : ""
+        }?`
+      )
+    ) {
+      return;
+    }
+    recordHistory("fields");
+    setCustomFields(customFields.filter((d) => d.id !== def.id));
+    if (used.length === 0) return;
+    setIdeas(
+      ideas.map((idea) => {
+        if ((idea.fields || {})[def.id] === undefined) return idea;
+        const { [def.id]: removed, ...fields } = idea.fields;
+        return { ...idea, fields };
+      })
+    );
+  }
+
+  function handleDeleteIdea(id) {
+    const idea = ideas.find((i) => i.id === id);
+    if (!idea) return;
+    const preview = idea.text.length > 60 ? idea.text.slice(0, 57) + "…" : idea.text;
+    if (!window.confirm(`Delete "${preview}"? You can undo this with Ctrl+Z.`)) {
+      return;
+    }
+    recordHistory("delete");
+    setIdeas(ideas.filter((i) => i.id !== id));
+    setCuration(pruneCuration(unpinIdeas(curation, [id])));
+  }
+
+  function handleDragEnd() {
+    setDraggedIdeaId(null);
+    setDropTargetId(null);
+  }
+
+  // `clusterId` null means "start a new theme with this idea".
+  function handleDropIdea(ideaId, clusterId) {
+    const id = ideaId || draggedIdeaId;
+    handleDragEnd();
+    if (!id) return;
+    const target = clusterId
+      ? analysis.clusters.find((c) => c.id === clusterId)
+      : null;
+    if (target && target.pinnedIds.includes(id)) return;
+    updateCuration(moveIdeaToCluster(curation, id, target));
+  }
+
+  function handleRenameTheme(cluster) {
+    const name = window.prompt(
+      "Theme name (leave empty to use the automatic name)",
+      cluster.customName || cluster.primaryName
+    );
+    if (name === null) return;
+    updateCuration(renameCluster(curation, cluster, name.trim()));
+  }
+
+  function handleMergeTheme(cluster, targetId) {
+    const target = analysis.clusters.find((c) => c.id === targetId);
+    if (!target) return;
+    updateCuration(mergeClusters(curation, cluster, target));
+  }
+
+  function handleSplitTheme(cluster) {
+    const groups = splitClusterIdeas(cluster.ideaIds, analysis.ideaVectors);
+    if (!groups) return;
+    updateCuration(splitCluster(curation, cluster, groups));
+  }
 
-  const ideaIdRef = useRef(1);
-  const toastTimeoutRef = useRef(null);
+  function handleSaveView() {
+    const name = window.prompt("Name for this view");
+    if (name === null || !name.trim()) return;
+    setSavedViews(saveView(savedViews, name.trim(), filters, analysis.clusters));
+    showToast(`Saved view “${name.trim()}”`);
+  }
 
-  const analysis = useMemo(
-    () => computeAnalysis(problemStatement, ideas),
-    [problemStatement, ideas]
-  );
+  function handleApplyView(view) {
+    setFilters({ ...view.filters, themes: viewThemeIds(view, analysis.clusters) });
+  }
 
-  function handleAddIdea() {
-    const trimmed = ideaText.trim();
-    if (!trimmed) return;
+  function handleDeleteView(view) {
+    setSavedViews(savedViews.filter((v) => v.name !== view.name));
+  }
 
-    const newIdea = {
-      id: "i" + ideaIdRef.current++,
-      text: trimmed,
-      author: displayName.trim() || "Anonymous",
-      createdAt: new Date().toISOString()
-    };
+  function handleOpenSettings() {
+    const current = boardSettings(analysisOptions, badgeSettings);
+    setSettingsDraft(normalizeSettings(current, current));
+  }
 
-    const nextIdeas = [...ideas, newIdea];
+  function handleApplySettings() {
+    const next = applySettings(analysisOptions, settingsDraft);
+    setAnalysisOptions(next.analysisOptions);
+    setBadgeSettings(next.badgeSettings);
+    setSettingsDraft(null);
+  }
 
-    // Compute novelty in advance for celebration
-    const previewAnalysis = computeAnalysis(problemStatement, nextIdeas);
-    const score = previewAnalysis.noveltyById[newIdea.id];
+  function handleSavePreset() {
+    const name = window.prompt("Name for this preset");
+    if (name === null || !name.trim()) return;
+    setSettingsPresets(savePreset(settingsPresets, name.trim(), settingsDraft));
+    showToast(`Saved preset “${name.trim()}”`);
+  }
 
-    if (typeof score === "number" && score >= 80) {
-      if (toastTimeoutRef.current) {
-        clearTimeout(toastTimeoutRef.current);
-      }
-      setToast("Standout idea! High novelty detected 🔥");
-      toastTimeoutRef.current = setTimeout(() => {
-        setToast(null);
-      }, 3200);
+  function handleDeletePreset(preset) {
+    setSettingsPresets(settingsPresets.filter((p) => p.name !== preset.name));
+  }
+
+  function handleExport(format) {
+    const board = snapshotBoard();
+    const baseName = fileNameFor(board.name);
+    if (format === "json") {
+      downloadFile(`${baseName}.json`, exportBoardJSON(board, analysis), "application/json");
+    } else if (format === "csv") {
+      downloadFile(`${baseName}.csv`, exportBoardCSV(board, analysis), "text/csv");
+    } else {
+      downloadFile(`${baseName}.md`, exportBoardMarkdown(board, analysis), "text/markdown");
     }
+  }
 
-    setIdeas(nextIdeas);
-    setIdeaText("");
+  async function handleImportFile(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const isCSV = /\.csv$/i.test(file.name) || file.type === "text/csv";
+      const imported = isCSV ? importBoardCSV(text) : importBoardJSON(text);
+      if (imported.fields.ideas.length === 0) {
+        throw new Error("No usable ideas found in the file");
+      }
+      const board = createBoard(
+        imported.name || file.name.replace(/\.[^.]+$/, "") || "Imported board",
+        imported.fields
+      );
+      saveBoard(board);
+      openBoard(board);
+      setImportReport({
+        fileName: file.name,
+        imported: imported.fields.ideas.length,
+        issues: imported.issues,
+        error: null
+      });
+    } catch (err) {
+      setImportReport({
+        fileName: file.name,
+        imported: 0,
+        issues: [],
+        error: err.message
+      });
+    }
   }
 
   function handleIdeaKeyDown(e) {
@@ -382,7 +5702,127 @@ function App() {
     }
   }
 
+  function handleBulkKeyDown(e) {
+    if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) {
+      e.preventDefault();
+      handleAddBulkIdeas();
+    }
+  }
+
   const ideaCount = ideas.length;
+  const inputLocked = session.locked && !session.current;
+  const explanation = explainIdeaId
+    ? explainNovelty(
+        explainIdeaId,
+        ideas,
+        problemStatement,
+        analysis,
+        analysisOptions,
+        prompts
+      )
+    : null;
+  const rounds = useMemo(
+    () => roundStats(ideas, analysis.clusters, analysis.noveltyById, session),
+    [ideas, analysis, session]
+  );
+  const participants = useMemo(
+    () =>
+      participantStats(
+        ideas,
+        analysis.clusters,
+        analysis.noveltyById,
+        analysis.nearestOtherAuthor
+      ),
+    [ideas, analysis]
+  );
+  const diversity = useMemo(
+    () => voiceDiversity(ideas, analysis.clusters),
+    [ideas, analysis]
+  );
+  // The settings panel previews its draft with an analysis in the worker,
+  // debounced like typing in the problem statement, and compares it against
+  // the board's current analysis. `draftAnalysis.draft` is the draft it was
+  // made for, so the panel can tell when the preview is behind.
+  const [draftAnalysis, setDraftAnalysis] = useState(null);
+  useEffect(() => {
+    if (!settingsDraft || ideas.length === 0) {
+      setDraftAnalysis(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      const next = applySettings(analysisOptions, settingsDraft);
+      previewAnalysis(problemStatement, ideas, {
+        ...analysisInput,
+        ...next.analysisOptions
+      }).then(
+        (nextAnalysis) => {
+          if (cancelled) return;
+          setDraftAnalysis({
+            draft: settingsDraft,
+            analysis: nextAnalysis,
+            badgeSettings: next.badgeSettings
+          });
+        },
+        (err) => console.warn("Settings preview failed", err)
+      );
+    }, ANALYSIS_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [settingsDraft, ideas, problemStatement, analysisInput]);
+  const settingsPreviewResult = useMemo(
+    () =>
+      settingsDraft && ideas.length > 0 && draftAnalysis
+        ? settingsPreview(
+            ideas,
+            analysis,
+            draftAnalysis.analysis,
+            badgeSettings,
+            draftAnalysis.badgeSettings
+          )
+        : null,
+    [settingsDraft, ideas, draftAnalysis, analysis, badgeSettings]
+  );
+  const settingsPreviewPending =
+    Boolean(settingsDraft) &&
+    ideas.length > 0 &&
+    (!draftAnalysis || draftAnalysis.draft !== settingsDraft);
+  const coverage = useMemo(
+    () => promptCoverage(ideas, prompts, analysis, badgeSettings.bands),
+    [ideas, prompts, analysis, badgeSettings]
+  );
+  const covered = useMemo(
+    () => coveredTerms(ideas, analysisOptions),
+    [ideas, analysisOptions]
+  );
+  const gaps = useMemo(
+    () =>
+      findCoverageGaps(problemStatement, covered, analysis.clusters, analysisOptions),
+    [problemStatement, covered, analysis, analysisOptions]
+  );
+  const starters = useMemo(
+    () => ideaStarters(gaps, starterTechnique, starterRound),
+    [gaps, starterTechnique, starterRound]
+  );
+  const freeFloatingCount = ideas.filter(
+    (idea) => !prompts.some((prompt) => prompt.id === idea.promptId)
+  ).length;
+  // Filters narrow every board view and the top ideas; a lasso selection on
+  // the semantic map narrows the board views further.
+  const boardIdeas = mapSelection
+    ? filteredIdeas.filter((idea) => mapSelection.includes(idea.id))
+    : filteredIdeas;
+  const boardIdeaIds = new Set(boardIdeas.map((idea) => idea.id));
+  const enumFields = customFields.filter((def) => def.type === "enum");
+  // Falls back to themes when the field it grouped by has been removed.
+  const grouping =
+    groupBy === "tags" || enumFields.some((def) => def.id === groupBy)
+      ? groupBy
+      : "themes";
+  const ideaGroups =
+    grouping === "themes" ? [] : groupIdeasBy(boardIdeas, grouping, customFields);
   const clusterCount = analysis.clusters.length;
   const avgNovelty = analysis.stats.avgNovelty;
   const maxNovelty = analysis.stats.maxNovelty;
@@ -401,7 +5841,48 @@ function App() {
           </div>
         </div>
         <div className="app-header-right">
-          <span>Tip: Press ⌘+Enter / Ctrl+Enter to add an idea quickly.</span>
+          <BoardSwitcher
+            workspace={workspace}
+            boardMeta={boardMeta}
+            onSwitch={handleSwitchBoard}
+            onCreate={handleCreateBoard}
+            onRename={handleRenameBoard}
+            onDuplicate={handleDuplicateBoard}
+            onToggleArchive={handleToggleArchive}
+            onDelete={handleDeleteBoard}
+          />
+          <LiveSession
+            live={liveRoom !== null}
+            status={live.status}
+            peers={live.peers}
+            displayName={displayName}
+            onStart={handleGoLive}
+            onStop={() => setLiveRoom(null)}
+            onCopyInvite={handleCopyInvite}
+          />
+          <div className="history-controls">
+            <button
+              className="button-secondary"
+              type="button"
+              onClick={handleUndo}
+              disabled={historyRef.current.past.length === 0}
+              title="Undo (⌘/Ctrl+Z)"
+            >
+              ↶ Undo
+            </button>
+            <button
+              className="button-secondary"
+              type="button"
+              onClick={handleRedo}
+              disabled={historyRef.current.future.length === 0}
+              title="Redo (⌘/Ctrl+Shift+Z)"
+            >
+              ↷ Redo
+            </button>
+            <span>
+              Tip: ⌘/Ctrl+Enter adds an idea · ⌘/Ctrl+Z undoes a change.
+            </span>
+          </div>
         </div>
       </header>
 
@@ -416,13 +5897,200 @@ function App() {
             <div className="label">Problem statement</div>
             <textarea
               value={problemStatement}
-              onChange={(e) => setProblemStatement(e.target.value)}
+              ref={problemInputRef}
+              onChange={(e) => handleProblemChange(e.target.value)}
               placeholder="What are you brainstorming on this board?"
             />
           </div>
 
+          <div className="input-row">
+            <div className="label">
+              Prompts{" "}
+              <span style={{ color: "#6b7280", fontSize: "0.75rem" }}>
+                (optional sub-questions)
+              </span>
+            </div>
+            <PromptList
+              prompts={prompts}
+              onAdd={handleAddPrompt}
+              onEdit={handleEditPrompt}
+              onRemove={handleRemovePrompt}
+            />
+          </div>
+
+          <div className="input-row">
+            <div className="label">Text model</div>
+            <div className="analysis-options">
+              <select
+                value={analysisOptions.vectorModel}
+                onChange={(e) =>
+                  setAnalysisOptions({
+                    ...analysisOptions,
+                    vectorModel: e.target.value
+                  })
+                }
+              >
+                {Object.keys(VECTOR_MODELS).map((key) => (
+                  <option key={key} value={key}>
+                    {VECTOR_MODELS[key].label}
+                  </option>
+                ))}
+              </select>
+              <label className="checkbox-row" title="Applies to English text">
+                <input
+                  type="checkbox"
+                  checked={analysisOptions.stemming}
+                  onChange={(e) =>
+                    setAnalysisOptions({
+                      ...analysisOptions,
+                      stemming: e.target.checked
+                    })
+                  }
+                />
+                <span>Stemming</span>
+              </label>
+              <label className="checkbox-row">
+                <input
+                  type="checkbox"
+                  checked={analysisOptions.bigrams}
+                  onChange={(e) =>
+                    setAnalysisOptions({
+                      ...analysisOptions,
+                      bigrams: e.target.checked
+                    })
+                  }
+                />
+                <span>Bigrams</span>
+              </label>
+            </div>
+            <label className="range-row">
+              <span>Language</span>
+              <select
+                value={analysisOptions.language}
+                onChange={(e) =>
+                  setAnalysisOptions({
+                    ...analysisOptions,
+                    language: e.target.value
+                  })
+                }
+              >
+                <option value="auto">Detect per idea</option>
+                {Object.keys(LANGUAGES).map((code) => (
+                  <option key={code} value={code}>
+                    {LANGUAGES[code].label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="range-row">
+              <span>Novelty scores</span>
+              <select
+                value={analysisOptions.scoring}
+                onChange={(e) =>
+                  setAnalysisOptions({
+                    ...analysisOptions,
+                    scoring: e.target.value
+                  })
+                }
+              >
+                {Object.keys(NOVELTY_SCORING).map((key) => (
+                  <option key={key} value={key}>
+                    {NOVELTY_SCORING[key].label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <EmbeddingSettings
+              settings={embeddingSettings}
+              onChange={setEmbeddingSettings}
+              status={embeddingStatus}
+              vectorSource={analysis.vectorSource}
+            />
+          </div>
+
+          <div className="input-row">
+            <div className="label">Clustering</div>
+            <ClusteringSettings
+              options={analysisOptions.clustering}
+              onChange={(clustering) =>
+                setAnalysisOptions({ ...analysisOptions, clustering })
+              }
+            />
+          </div>
+
+          <div className="input-row">
+            <div className="label">Scores & badges</div>
+            <div className="settings-summary">
+              <span>
+                {badgeSettings.bands
+                  .filter((band) => band.min > 0)
+                  .map((band) => `${band.label} from ${band.min}`)
+                  .join(" · ")}
+                {" · "}
+                {analysisOptions.neighbors} neighbour
+                {analysisOptions.neighbors !== 1 ? "s" : ""}
+                {analysisOptions.ignoredWords.length > 0 &&
+                  ` · ${analysisOptions.ignoredWords.length} ignored word${
+                    analysisOptions.ignoredWords.length !== 1 ? "s" : ""
+                  }`}
+              </span>
+              <button
+                className="button-secondary"
+                type="button"
+                onClick={handleOpenSettings}
+              >
+                Board settings…
+              </button>
+            </div>
+          </div>
+
+          <div className="input-row">
+            <div className="label">Idea fields</div>
+            <CustomFieldSettings
+              fields={customFields}
+              onAdd={handleAddField}
+              onRemove={handleRemoveField}
+            />
+          </div>
+
+          <div className="panel-header" style={{ marginTop: "4px" }}>
+            <div className="panel-title">Rounds</div>
+          </div>
+
+          <RoundTimer
+            session={session}
+            now={now}
+            onChange={setSession}
+            onStart={(planIndex) => {
+              const startedAt = Date.now();
+              setNow(startedAt);
+              setSession(startRound(session, planIndex, new Date(startedAt)));
+            }}
+            onEnd={() => setSession(endRound(session))}
+          />
+
           <div className="panel-header" style={{ marginTop: "4px" }}>
             <div className="panel-title">New idea</div>
+            <div className="chip-group">
+              <button
+                className={
+                  "chip " + (entryMode === "single" ? "chip-active" : "")
+                }
+                type="button"
+                onClick={() => setEntryMode("single")}
+              >
+                Single
+              </button>
+              <button
+                className={
+                  "chip " + (entryMode === "bulk" ? "chip-active" : "")
+                }
+                type="button"
+                onClick={() => setEntryMode("bulk")}
+              >
+                Bulk paste
+              </button>
+            </div>
           </div>
 
           <div className="input-row">
@@ -434,39 +6102,204 @@ function App() {
             />
           </div>
 
-          <div className="input-row">
-            <div className="label">
-              Idea text{" "}
-              <span style={{ color: "#6b7280", fontSize: "0.75rem" }}>
-                (one idea per sticky)
-              </span>
+          {prompts.length > 0 && (
+            <div className="input-row">
+              <div className="label">Answers prompt</div>
+              <select
+                value={entryPrompt ? entryPrompt.id : ""}
+                onChange={(e) => setEntryPromptId(e.target.value)}
+              >
+                <option value="">Free-floating</option>
+                {prompts.map((prompt, idx) => (
+                  <option key={prompt.id} value={prompt.id}>
+                    Q{idx + 1} · {prompt.text}
+                  </option>
+                ))}
+              </select>
             </div>
-            <textarea
-              value={ideaText}
-              onChange={(e) => setIdeaText(e.target.value)}
-              onKeyDown={handleIdeaKeyDown}
-              placeholder="e.g. Daily streak rewards for completing a key action"
-            />
+          )}
+
+          {entryMode === "single" ? (
+            <>
+              <div className="input-row">
+                <div className="label">
+                  Idea text{" "}
+                  <span style={{ color: "#6b7280", fontSize: "0.75rem" }}>
+                    (one idea per sticky)
+                  </span>
+                </div>
+                <textarea
+                  value={ideaText}
+                  onChange={(e) => setIdeaText(e.target.value)}
+                  onKeyDown={handleIdeaKeyDown}
+                  disabled={inputLocked}
+                  placeholder="e.g. Daily streak rewards for completing a key action"
+                />
+              </div>
+
+              <div className="button-row">
+                <button
+                  className="button-primary"
+                  onClick={handleAddIdea}
+                  disabled={!ideaText.trim() || inputLocked}
+                >
+                  <span>Drop sticky</span>
+                  <span>➜</span>
+                </button>
+                <button
+                  className="button-secondary"
+                  type="button"
+                  onClick={() => setIdeaText("")}
+                >
+                  Clear
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="input-row">
+                <div className="label">
+                  Paste ideas{" "}
+                  <span style={{ color: "#6b7280", fontSize: "0.75rem" }}>
+                    (one per line, bullet or numbered item)
+                  </span>
+                </div>
+                <textarea
+                  value={bulkText}
+                  onChange={(e) => setBulkText(e.target.value)}
+                  onKeyDown={handleBulkKeyDown}
+                  disabled={inputLocked}
+                  placeholder={"- Streak rewards\n- Sam: Weekly progress email\n3. Onboarding checklist"}
+                />
+                <label className="checkbox-row">
+                  <input
+                    type="checkbox"
+                    checked={bulkReadAuthors}
+                    onChange={(e) => setBulkReadAuthors(e.target.checked)}
+                  />
+                  <span>Read "Author: idea" prefixes</span>
+                </label>
+              </div>
+
+              {bulkPreview.length > 0 && (
+                <div className="bulk-preview">
+                  <div className="label">
+                    Preview · {bulkPreview.length} stick
+                    {bulkPreview.length !== 1 ? "ies" : "y"}
+                  </div>
+                  <div className="bulk-preview-list">
+                    {bulkPreview.map((draft, idx) => (
+                      <div key={idx} className="bulk-preview-item">
+                        <div className="idea-text">{draft.text}</div>
+                        <div className="idea-author">{draft.author}</div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="button-row">
+                <button
+                  className="button-primary"
+                  onClick={handleAddBulkIdeas}
+                  disabled={bulkPreview.length === 0 || inputLocked}
+                >
+                  <span>
+                    Add {bulkPreview.length || ""} stick
+                    {bulkPreview.length !== 1 ? "ies" : "y"}
+                  </span>
+                  <span>➜</span>
+                </button>
+                <button
+                  className="button-secondary"
+                  type="button"
+                  onClick={() => setBulkText("")}
+                >
+                  Clear
+                </button>
+              </div>
+            </>
+          )}
+
+          <div className="panel-header" style={{ marginTop: "4px" }}>
+            <div className="panel-title">Import & export</div>
           </div>
 
-          <div className="button-row">
+          <div className="data-actions">
             <button
-              className="button-primary"
-              onClick={handleAddIdea}
-              disabled={!ideaText.trim()}
+              className="button-secondary"
+              type="button"
+              onClick={() => handleExport("json")}
             >
-              <span>Drop sticky</span>
-              <span>➜</span>
+              Export JSON
             </button>
             <button
               className="button-secondary"
               type="button"
-              onClick={() => setIdeaText("")}
+              onClick={() => handleExport("csv")}
             >
-              Clear
+              Export CSV
+            </button>
+            <button
+              className="button-secondary"
+              type="button"
+              onClick={() => handleExport("markdown")}
+            >
+              Markdown report
             </button>
+            <button
+              className="button-secondary"
+              type="button"
+              onClick={() => importInputRef.current.click()}
+            >
+              Import JSON / CSV…
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".json,.csv,application/json,text/csv"
+              style={{ display: "none" }}
+              onChange={handleImportFile}
+            />
           </div>
 
+          {importReport && (
+            <div
+              className={
+                "import-report " +
+                (importReport.error ? "import-report-error" : "")
+              }
+            >
+              <div className="import-report-header">
+                <span>
+                  {importReport.error
+                    ? `Could not import ${importReport.fileName}`
+                    : `Imported ${importReport.imported} idea${
+                        importReport.imported !== 1 ? "s" : ""
+                      } from ${importReport.fileName}`}
+                </span>
+                <button
+                  className="import-report-close"
+                  type="button"
+                  onClick={() => setImportReport(null)}
+                  title="Dismiss"
+                >
+                  ×
+                </button>
+              </div>
+              {importReport.error && <div>{importReport.error}</div>}
+              {importReport.issues.length > 0 && (
+                <ul className="import-report-issues">
+                  {importReport.issues.map((issue, idx) => (
+                    <li key={idx}>
+                      <strong>{issue.row}:</strong> {issue.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
           <div
             style={{
               marginTop: "8px",
@@ -475,8 +6308,10 @@ function App() {
             }}
           >
             This prototype runs completely in your browser and uses a simple
-            text-based vector model for clustering and novelty scoring. You can
-            later swap in real embeddings/LLMs on a backend.
+            text-based vector model for clustering and novelty scoring. Boards
+            are saved automatically in this browser's local storage. Point it
+            at an OpenAI-style embeddings endpoint above to cluster and score
+            with real embeddings instead.
           </div>
         </section>
 
@@ -503,15 +6338,137 @@ function App() {
               >
                 Flat list
               </button>
+              <button
+                className={
+                  "chip " + (viewMode === "priority" ? "chip-active" : "")
+                }
+                type="button"
+                onClick={() => setViewMode("priority")}
+              >
+                Prioritise
+              </button>
+              <button
+                className={"chip " + (viewMode === "map" ? "chip-active" : "")}
+                type="button"
+                onClick={() => setViewMode("map")}
+              >
+                Map
+              </button>
             </div>
+            {viewMode === "affinity" && (
+              <select
+                className="ranking-select"
+                value={grouping}
+                onChange={(e) => setGroupBy(e.target.value)}
+                title="Group the affinity view by theme, tag or a choice field"
+              >
+                <option value="themes">By theme</option>
+                <option value="tags">By tag</option>
+                {enumFields.map((def) => (
+                  <option key={def.id} value={def.id}>
+                    By {def.name}
+                  </option>
+                ))}
+              </select>
+            )}
+            <button
+              className={"chip " + (showDuplicates ? "chip-active" : "")}
+              type="button"
+              onClick={() => {
+                setShowDuplicates(!showDuplicates);
+                setDismissedDuplicates([]);
+              }}
+            >
+              Find duplicates
+            </button>
           </div>
 
+          {showDuplicates && (
+            <DuplicatesPanel
+              groups={visibleDuplicateGroups}
+              ideas={ideas}
+              onMerge={handleMergeDuplicateGroup}
+              onMergeAll={handleMergeAllDuplicates}
+              onDismiss={(group) =>
+                setDismissedDuplicates([
+                  ...dismissedDuplicates,
+                  group.ideaIds.join(",")
+                ])
+              }
+              onClose={() => setShowDuplicates(false)}
+            />
+          )}
+
+          {ideaCount > 0 && (
+            <FilterBar
+              filters={filters}
+              onChange={setFilters}
+              authors={authorNames}
+              clusters={analysis.clusters}
+              tags={boardTags}
+              matchCount={filteredIdeas.length}
+              ideaCount={ideaCount}
+              views={savedViews}
+              onApplyView={handleApplyView}
+              onSaveView={handleSaveView}
+              onDeleteView={handleDeleteView}
+              bands={badgeSettings.bands}
+            />
+          )}
+
+          {mapSelection && ideaCount > 0 && (
+            <div className="selection-banner">
+              <span>
+                Showing {boardIdeas.length} of {filteredIdeas.length} ideas
+                selected on the map
+              </span>
+              <button
+                className="link-button"
+                type="button"
+                onClick={() => setMapSelection(null)}
+              >
+                Show all
+              </button>
+            </div>
+          )}
+
           {ideaCount === 0 ? (
             <div className="empty-state">
               Start by adding a few ideas. Once you have multiple stickies, the
               board will automatically group them into themes and score how
               novel each one is.
             </div>
+          ) : viewMode === "affinity" && grouping !== "themes" ? (
+            <div className="clusters-grid">
+              {ideaGroups.map((group) => (
+                <div key={group.key} className="cluster-card">
+                  <div className="cluster-header">
+                    <div className="cluster-title">{group.name}</div>
+                    <div className="cluster-meta">
+                      {group.ideas.length} idea{group.ideas.length !== 1 ? "s" : ""}
+                    </div>
+                  </div>
+                  <div className="cluster-ideas">
+                    {group.ideas.map((idea) => (
+                      <IdeaCard
+                        key={idea.id}
+                        idea={idea}
+                        score={analysis.noveltyById[idea.id] ?? null}
+                        onEdit={handleEditIdea}
+                        onDelete={handleDeleteIdea}
+                        onExplain={setExplainIdeaId}
+                        history={historyFor(idea)}
+                        search={search}
+                        bands={badgeSettings.bands}
+                        fieldDefs={customFields}
+                        {...voteProps(idea)}
+                        {...promptProps(idea)}
+                      />
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
           ) : viewMode === "affinity" ? (
             analysis.clusters.length === 0 ? (
               <div className="empty-state">
@@ -519,94 +6476,120 @@ function App() {
               </div>
             ) : (
               <div className="clusters-grid">
-                {analysis.clusters.map((cluster) => (
-                  <div key={cluster.id} className="cluster-card">
-                    <div className="cluster-header">
-                      <div className="cluster-title">
-                        {cluster.primaryName}
-                      </div>
-                      <div className="cluster-meta">
-                        {cluster.ideaIds.length} idea
-                        {cluster.ideaIds.length !== 1 ? "s" : ""}
-                      </div>
-                    </div>
-                    {cluster.keywords && cluster.keywords.length > 0 && (
-                      <div className="cluster-keywords">
-                        {cluster.keywords.join(" · ")}
-                      </div>
-                    )}
-                    <div className="cluster-ideas">
-                      {cluster.ideaIds.map((id) => {
-                        const idea = ideas.find((i) => i.id === id);
-                        if (!idea) return null;
-                        const score = analysis.noveltyById[idea.id] ?? null;
-                        return (
-                          <div key={idea.id} className="idea-card">
-                            <div className="idea-text">{idea.text}</div>
-                            <div className="idea-footer">
-                              <div className="idea-author">
-                                {idea.author || "Anonymous"}
-                              </div>
-                              <div className="idea-novelty">
-                                {score !== null && score !== undefined && (
-                                  <>
-                                    <span className="idea-novelty-label">
-                                      Novelty
-                                    </span>
-                                    <NoveltyBadge score={score} />
-                                  </>
-                                )}
-                              </div>
-                            </div>
-                          </div>
-                        );
-                      })}
-                    </div>
+                {analysis.clusters
+                  .filter((cluster) =>
+                    cluster.ideaIds.some((id) => boardIdeaIds.has(id))
+                  )
+                  .map((cluster) => (
+                    <ClusterCard
+                      key={cluster.id}
+                      cluster={cluster}
+                      clusters={analysis.clusters}
+                      ideas={boardIdeas}
+                      noveltyById={analysis.noveltyById}
+                      isDropTarget={draggedIdeaId !== null && dropTargetId === cluster.id}
+                      onDragOverCluster={setDropTargetId}
+                      onDropIdea={handleDropIdea}
+                      onDragIdea={setDraggedIdeaId}
+                      onDragEnd={handleDragEnd}
+                      onRename={() => handleRenameTheme(cluster)}
+                      onMerge={(targetId) => handleMergeTheme(cluster, targetId)}
+                      onSplit={() => handleSplitTheme(cluster)}
+                      onRelease={() => updateCuration(releaseCluster(curation, cluster))}
+                      onTogglePin={(ideaId) =>
+                        updateCuration(togglePinIdea(curation, cluster, ideaId))
+                      }
+                      onEditIdea={handleEditIdea}
+                      onDeleteIdea={handleDeleteIdea}
+                      onExplainIdea={setExplainIdeaId}
+                      historyFor={historyFor}
+                      voteProps={voteProps}
+                      promptProps={promptProps}
+                      search={search}
+                      fieldDefs={customFields}
+                      bands={badgeSettings.bands}
+                    />
+                  ))}
+                {draggedIdeaId !== null && (
+                  <div
+                    className={
+                      "cluster-card cluster-card-new " +
+                      (dropTargetId === "new" ? "cluster-card-drop" : "")
+                    }
+                    onDragOver={(e) => {
+                      e.preventDefault();
+                      setDropTargetId("new");
+                    }}
+                    onDrop={(e) => {
+                      e.preventDefault();
+                      handleDropIdea(e.dataTransfer.getData("text/plain"), null);
+                    }}
+                  >
+                    Drop here to start a new theme
                   </div>
-                ))}
+                )}
+              </div>
+            )
+          ) : viewMode === "priority" ? (
+            !showTallies ? (
+              <div className="empty-state">
+                {voting.status === "idle"
+                  ? "Start dot voting in the Insights column to plot ideas by votes and novelty."
+                  : "Tallies are hidden until voting closes."}
               </div>
+            ) : (
+              <PriorityMatrix
+                ideas={boardIdeas}
+                noveltyById={analysis.noveltyById}
+                totals={totals}
+              />
             )
+          ) : viewMode === "map" ? (
+            <SemanticMap
+              ideas={filteredIdeas}
+              analysis={analysis}
+              project={projectAnalysis}
+              method={mapMethod}
+              onMethodChange={setMapMethod}
+              selection={mapSelection}
+              onSelect={setMapSelection}
+            />
           ) : (
             // Flat list view
             <div className="clusters-grid">
               <div className="cluster-card" style={{ gridColumn: "1 / -1" }}>
                 <div className="cluster-header">
-                  <div className="cluster-title">All ideas</div>
+                  <div className="cluster-title">
+                    {filtersActive ? "Matching ideas" : "All ideas"}
+                  </div>
                   <div className="cluster-meta">
                     Sorted by novelty score (highest first)
                   </div>
                 </div>
                 <div className="cluster-ideas">
-                  {ideas
+                  {boardIdeas
                     .slice()
                     .sort(
                       (a, b) =>
                         (analysis.noveltyById[b.id] || 0) -
                         (analysis.noveltyById[a.id] || 0)
                     )
-                    .map((idea) => {
-                      const score = analysis.noveltyById[idea.id] ?? null;
-                      return (
-                        <div key={idea.id} className="idea-card">
-                          <div className="idea-text">{idea.text}</div>
-                          <div className="idea-footer">
-                            <div className="idea-author">
-                              {idea.author || "Anonymous"}
-                            </div>
-                            <div className="idea-novelty">
-                              {score !== null && score !== undefined && (
-                                <>
-                                  <span className="idea-novelty-label">
-                                    Novelty
-                                  </span>
-                                  <NoveltyBadge score={score} />
-                                </>
-                              )}
-                            </div>
-                          </div>
-                        </div>
-                      );
-                    })}
+                    .map((idea) => (
+                      <IdeaCard
+                        key={idea.id}
+                        idea={idea}
+                        score={analysis.noveltyById[idea.id] ?? null}
+                        onEdit={handleEditIdea}
+                        onDelete={handleDeleteIdea}
+                        onExplain={setExplainIdeaId}
+                        history={historyFor(idea)}
+                        search={search}
+                        bands={badgeSettings.bands}
+                        fieldDefs={customFields}
+                        {...voteProps(idea)}
+                        {...promptProps(idea)}
+                      />
+                    ))}
                 </div>
               </div>
             </div>
@@ -619,9 +6602,23 @@ function App() {
             <div className="panel-title">Insights</div>
           </div>
 
+          {explanation && (
+            <NoveltyExplanation
+              explanation={explanation}
+              onClose={() => setExplainIdeaId(null)}
+            />
+          )}
+
           <div className="stat-row">
             <div className="stat-label">Ideas</div>
-            <div className="stat-value">{ideaCount}</div>
+            <div className="stat-value">
+              {ideaCount}
+              {!analysisUpToDate && (
+                <span style={{ marginLeft: 4, color: "#9ca3af" }}>
+                  (analysing…)
+                </span>
+              )}
+            </div>
           </div>
           <div className="stat-row">
             <div className="stat-label">Themes</div>
@@ -634,6 +6631,17 @@ function App() {
               )}
             </div>
           </div>
+          <div className="stat-row">
+            <div className="stat-label">Theme separation</div>
+            <div
+              className="stat-value"
+              title="Mean silhouette score: near 1 means well-separated themes, near 0 overlapping ones"
+            >
+              {analysis.silhouette != null
+                ? analysis.silhouette.toFixed(2)
+                : "–"}
+            </div>
+          </div>
           <div className="stat-row">
             <div className="stat-label">Average novelty</div>
             <div className="stat-value">
@@ -647,14 +6655,68 @@ function App() {
             </div>
           </div>
 
+          {(session.runs.length > 0 || session.current) && (
+            <div className="round-stats-panel">
+              <div className="stat-row">
+                <div className="stat-label">By round</div>
+              </div>
+              <RoundStatsTable rows={rounds} />
+            </div>
+          )}
+
+          {prompts.length > 0 && (
+            <PromptCoveragePanel rows={coverage} freeFloating={freeFloatingCount} />
+          )}
+
+          {(ideaCount > 0 || problemStatement.trim()) && (
+            <UnexploredAngles
+              gaps={gaps}
+              starters={starters}
+              technique={starterTechnique}
+              onTechniqueChange={(technique) => {
+                setStarterTechnique(technique);
+                setStarterRound(0);
+              }}
+              onMore={() => setStarterRound(starterRound + 1)}
+              onAddPrompt={(text) => {
+                handleAddPrompt(text);
+                showToast("Added as a prompt");
+              }}
+            />
+          )}
+
+          {ideaCount > 0 && (
+            <ParticipantsPanel rows={participants} diversity={diversity} />
+          )}
+
+          <VotingPanel
+            voting={voting}
+            onChange={setVoting}
+            voter={voter}
+            votesLeft={votesLeft}
+            ideaCount={ideas.length}
+          />
+
           <div className="stat-row" style={{ marginBottom: 8 }}>
             <div className="stat-label">Top ideas</div>
-            <div className="stat-chip">
-              Highlighting the boldest directions
-            </div>
+            <select
+              className="ranking-select"
+              value={effectiveRanking}
+              onChange={(e) => setTopRanking(e.target.value)}
+              disabled={!showTallies}
+              title={
+                showTallies
+                  ? "Order the shortlist"
+                  : "Vote rankings unlock once tallies are visible"
+              }
+            >
+              <option value="novelty">Most novel</option>
+              <option value="votes">Most votes</option>
+              <option value="combined">Votes, then novelty</option>
+            </select>
           </div>
 
-          {analysis.topIdeas.length === 0 ? (
+          {topIdeas.length === 0 ? (
             <div
               style={{
                 fontSize: "0.78rem",
@@ -662,22 +6724,30 @@ function App() {
                 marginTop: "4px"
               }}
             >
-              Once you have a few ideas, the most novel ones will show up here.
+              {filtersActive && ideaCount > 0
+                ? "No ideas match the current filters."
+                : "Once you have a few ideas, the most novel ones will show up here."}
             </div>
           ) : (
             <div className="top-ideas-list">
-              {analysis.topIdeas.map((idea, idx) => {
+              {topIdeas.map((idea, idx) => {
                 const score = analysis.noveltyById[idea.id] ?? null;
                 return (
                   <div key={idea.id} className="top-idea">
                     <div className="top-idea-title">
-                      {idx + 1}. {idea.text}
+                      {idx + 1}. <HighlightedText text={idea.text} search={search} />
                     </div>
                     <div className="top-idea-meta">
                       <span>{idea.author || "Anonymous"}</span>
                       <span>
                         {score != null ? `Novelty ${score}` : "Novelty –"}
                       </span>
+                      {showTallies && (
+                        <span>
+                          {totals[idea.id] || 0} vote
+                          {totals[idea.id] !== 1 ? "s" : ""}
+                        </span>
+                      )}
                     </div>
                   </div>
                 );
@@ -689,12 +6759,71 @@ function App() {
 
       <footer className="app-footer">
         <span>
-          Local-only prototype · No data leaves the browser · Replace scoring
-          logic with real embeddings when you add a backend.
+          Local-only prototype · No data leaves the browser unless you enable
+          an embedding endpoint.
         </span>
         <span>Built for quick GitHub Pages hosting.</span>
       </footer>
 
+      {settingsDraft && (
+        <BoardSettingsPanel
+          draft={settingsDraft}
+          onChange={setSettingsDraft}
+          preview={settingsPreviewResult}
+          previewPending={settingsPreviewPending}
+          algorithm={CLUSTERING_ALGORITHMS[analysisOptions.clustering.algorithm]}
+          presets={settingsPresets}
+          onSavePreset={handleSavePreset}
+          onDeletePreset={handleDeletePreset}
+          onApply={handleApplySettings}
+          onCancel={() => setSettingsDraft(null)}
+        />
+      )}
+
+      {pendingDuplicate && (
+        <div className="modal-backdrop">
+          <div className="modal" role="dialog" aria-label="Possible duplicate">
+            <div className="panel-title">Looks like an existing sticky</div>
+            <div className="modal-draft">“{pendingDuplicate.draft.text}”</div>
+            <div className="duplicate-matches">
+              {pendingDuplicate.matches.map(({ idea, similarity }) => (
+                <div key={idea.id} className="duplicate-match">
+                  <div>
+                    <div className="idea-text">{idea.text}</div>
+                    <div className="idea-author">
+                      {idea.author} · {Math.round(similarity * 100)}% similar
+                    </div>
+                  </div>
+                  <button
+                    className="button-secondary"
+                    type="button"
+                    onClick={() => handleMergeDraftInto(idea.id)}
+                  >
+                    +1 this
+                  </button>
+                </div>
+              ))}
+            </div>
+            <div className="button-row">
+              <button
+                className="button-secondary"
+                type="button"
+                onClick={() => setPendingDuplicate(null)}
+              >
+                Cancel
+              </button>
+              <button
+                className="button-primary"
+                type="button"
+                onClick={handleAddDuplicateAnyway}
+              >
+                Add anyway
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {toast && (
         <div className="toast">
           <span>{toast}</span>
@@ -0,0 +1,389 @@
+// AffinityBoard stored boards: the schema version, the steps that upgrade
+// boards saved by older builds, and the defaults and clean-up helpers those
+// steps share with the page. It is an ES module with no DOM access, shared by
+// the page (index.html) and the tests; app.jsx reads and writes the boards.
+
+import { DEFAULT_CLUSTERING_OPTIONS, NOVELTY_NEIGHBORS } from "./engine.js";
+
+// ---- Defaults ----
+
+// A board's voting state: votes[voter][ideaId] = number of dots. Votes on
+// ideas that no longer exist are ignored (and so handed back to the voter).
+const DEFAULT_VOTING = {
+  status: "idle", // "idle" | "open" | "closed"
+  votesPerPerson: 5,
+  maxPerIdea: 2,
+  hideTallies: true,
+  votes: {}
+};
+
+// A board's facilitation session: the planned rounds, the round in progress
+// and every round that has run. Ideas record the round in progress when they
+// were added as `roundId`.
+const DEFAULT_SESSION = {
+  plan: [
+    { name: "Diverge", minutes: 5 },
+    { name: "Silent writing", minutes: 5 },
+    { name: "Build on others", minutes: 5 }
+  ],
+  lockOnEnd: true, // lock idea entry when a round's time is up
+  locked: false,
+  current: null, // { id, name, startedAt, endsAt }
+  runs: [] // { id, name, startedAt, endedAt }
+};
+
+// A board's curation is { themes: [{ id, name, pinnedIds }], nextThemeId }.
+const EMPTY_CURATION = { themes: [], nextThemeId: 1 };
+
+// Badge bands, highest first; a score belongs to the first band it reaches.
+// Boards can rename the bands and move their cutoffs (see Board settings),
+// but the levels stay the same.
+const NOVELTY_BANDS = [
+  { level: "high", label: "Bold", min: 80 },
+  { level: "medium", label: "Fresh", min: 60 },
+  { level: "low", label: "Safe", min: 0 }
+];
+
+// New ideas whose absolute score reaches this get a "standout" toast.
+const STANDOUT_SCORE = 80;
+
+// ---- Tags, custom fields and prompts ----
+
+// Ideas carry free-form `tags` and `fields`, the values of the board's custom
+// fields keyed by field id. A board defines its fields as
+// [{ id, name, type, options }]; `options` lists the choices of an "enum".
+const FIELD_TYPES = {
+  enum: { label: "Choice" },
+  number: { label: "Number" },
+  text: { label: "Text" }
+};
+
+// Trimmed, non-empty labels with repeats (ignoring case) removed. Accepts a
+// list or a comma/semicolon separated string.
+function uniqueLabels(list) {
+  const items = typeof list === "string" ? list.split(/[,;]/) : list;
+  const seen = new Set();
+  const labels = [];
+  (Array.isArray(items) ? items : []).forEach((item) => {
+    if (typeof item !== "string") return;
+    const label = item.replace(/\s+/g, " ").trim();
+    const key = label.toLocaleLowerCase();
+    if (!label || seen.has(key)) return;
+    seen.add(key);
+    labels.push(label);
+  });
+  return labels;
+}
+
+function normalizeTags(tags) {
+  const list = typeof tags === "string" ? tags.split(/[,;]/) : tags;
+  return uniqueLabels(
+    (Array.isArray(list) ? list : []).map((tag) =>
+      typeof tag === "string" ? tag.replace(/^\s*#+/, "") : tag
+    )
+  );
+}
+
+function normalizeFieldDefs(defs) {
+  const seen = new Set();
+  const clean = [];
+  (Array.isArray(defs) ? defs : []).forEach((def) => {
+    if (
+      !def ||
+      typeof def.id !== "string" ||
+      !def.id ||
+      seen.has(def.id) ||
+      typeof def.name !== "string" ||
+      !def.name.trim() ||
+      !Object.prototype.hasOwnProperty.call(FIELD_TYPES, def.type)
+    ) {
+      return;
+    }
+    seen.add(def.id);
+    clean.push({
+      id: def.id,
+      name: def.name.trim(),
+      type: def.type,
+      options: def.type === "enum" ? uniqueLabels(def.options) : []
+    });
+  });
+  return clean;
+}
+
+// Prompts are [{ id, text }]; ideas point at one through `promptId`.
+function normalizePrompts(prompts) {
+  const seen = new Set();
+  const clean = [];
+  (Array.isArray(prompts) ? prompts : []).forEach((prompt) => {
+    if (
+      !prompt ||
+      typeof prompt.id !== "string" ||
+      !prompt.id ||
+      seen.has(prompt.id) ||
+      typeof prompt.text !== "string" ||
+      !prompt.text.trim()
+    ) {
+      return;
+    }
+    seen.add(prompt.id);
+    clean.push({ id: prompt.id, text: prompt.text.trim() });
+  });
+  return clean;
+}
+
+// ---- Filters ----
+
+// Categories combine with AND and the values inside one category with OR; an
+// empty category does not filter. `from` and `to` are datetime-local values
+// bounding `createdAt`, to the minute.
+const EMPTY_FILTERS = {
+  query: "",
+  authors: [],
+  themes: [],
+  bands: [],
+  tags: [],
+  from: "",
+  to: ""
+};
+
+const FILTER_LISTS = ["authors", "themes", "bands", "tags"];
+
+function normalizeFilters(filters) {
+  const next = { ...EMPTY_FILTERS };
+  if (!filters || typeof filters !== "object") return next;
+  ["query", "from", "to"].forEach((key) => {
+    if (typeof filters[key] === "string") next[key] = filters[key];
+  });
+  FILTER_LISTS.forEach((key) => {
+    if (Array.isArray(filters[key])) next[key] = filters[key].map(String);
+  });
+  return next;
+}
+
+// ---- Badge settings ----
+
+function clampNumber(value, min, max, fallback) {
+  if (value === null || value === undefined || String(value).trim() === "") {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+// Band labels fall back to the defaults when blank, and the cutoffs keep
+// their order: Bold above Fresh above Safe, which always starts at 0.
+function normalizeBands(bands) {
+  const stored = Array.isArray(bands) ? bands : [];
+  const [high, medium, low] = NOVELTY_BANDS.map((band) => {
+    const found = stored.find((b) => b && b.level === band.level) || {};
+    const label = typeof found.label === "string" ? found.label.trim() : "";
+    return {
+      level: band.level,
+      label: label || band.label,
+      min: Math.round(clampNumber(found.min, 0, 100, band.min))
+    };
+  });
+  high.min = Math.max(2, high.min);
+  medium.min = Math.min(high.min - 1, Math.max(1, medium.min));
+  low.min = 0;
+  return [high, medium, low];
+}
+
+function normalizeBadgeSettings(settings) {
+  const stored = settings && typeof settings === "object" ? settings : {};
+  return {
+    bands: normalizeBands(stored.bands),
+    standoutScore: Math.round(
+      clampNumber(stored.standoutScore, 0, 100, STANDOUT_SCORE)
+    )
+  };
+}
+
+// ---- Migrations ----
+
+const BOARD_SCHEMA_VERSION = 14;
+
+// Boards saved before clustering became configurable were grouped greedily
+// at 0.35. New boards default to agglomerative clustering at 0.25, which is
+// order-independent and merges by average similarity, so it needs a lower
+// threshold for themes of the same size; older boards keep their grouping.
+const LEGACY_CLUSTERING_OPTIONS = {
+  ...DEFAULT_CLUSTERING_OPTIONS,
+  algorithm: "greedy",
+  threshold: 0.35
+};
+
+// Each entry upgrades a stored board from version `n` to `n + 1`.
+// Add a step here (and bump BOARD_SCHEMA_VERSION) whenever the idea or board
+// shape changes, so boards saved by older builds keep loading.
+const BOARD_MIGRATIONS = {
+  0: (board) => ({
+    ...board,
+    name: board.name || "Untitled board",
+    problemStatement: board.problemStatement || "",
+    archived: Boolean(board.archived),
+    ideas: (Array.isArray(board.ideas) ? board.ideas : [])
+      .filter((idea) => idea && idea.id && idea.text)
+      .map((idea) => ({
+        id: String(idea.id),
+        text: String(idea.text),
+        author: idea.author || "Anonymous",
+        createdAt: idea.createdAt || board.createdAt || new Date().toISOString()
+      }))
+  }),
+  // The options as they were at this version, not today's defaults: every
+  // option added since has its own step, which may default it differently.
+  1: (board) => ({
+    ...board,
+    analysisOptions: {
+      vectorModel: "tfidf",
+      stemming: true,
+      bigrams: true,
+      ...board.analysisOptions
+    }
+  }),
+  2: (board) => ({
+    ...board,
+    analysisOptions: {
+      ...board.analysisOptions,
+      clustering: {
+        ...LEGACY_CLUSTERING_OPTIONS,
+        ...board.analysisOptions.clustering
+      }
+    }
+  }),
+  3: (board) => ({
+    ...board,
+    curation: board.curation || EMPTY_CURATION
+  }),
+  4: (board) => ({
+    ...board,
+    ideas: board.ideas.map((idea) => ({
+      ...idea,
+      coAuthors: Array.isArray(idea.coAuthors) ? idea.coAuthors : []
+    }))
+  }),
+  5: (board) => ({
+    ...board,
+    voting: { ...DEFAULT_VOTING, ...board.voting }
+  }),
+  6: (board) => ({
+    ...board,
+    session: { ...DEFAULT_SESSION, ...board.session }
+  }),
+  7: (board) => ({
+    ...board,
+    analysisOptions: { scoring: "relative", ...board.analysisOptions },
+    scoreHistory: board.scoreHistory || {}
+  }),
+  8: (board) => ({
+    ...board,
+    analysisOptions: { language: "auto", ...board.analysisOptions }
+  }),
+  9: (board) => ({
+    ...board,
+    savedViews: (Array.isArray(board.savedViews) ? board.savedViews : [])
+      .filter((view) => view && typeof view.name === "string" && view.name)
+      .map((view) => ({ name: view.name, filters: normalizeFilters(view.filters) }))
+  }),
+  10: (board) => ({
+    ...board,
+    customFields: normalizeFieldDefs(board.customFields),
+    ideas: board.ideas.map((idea) => ({
+      ...idea,
+      tags: normalizeTags(idea.tags),
+      fields:
+        idea.fields && typeof idea.fields === "object" && !Array.isArray(idea.fields)
+          ? idea.fields
+          : {}
+    }))
+  }),
+  11: (board) => ({
+    ...board,
+    prompts: normalizePrompts(board.prompts),
+    ideas: board.ideas.map((idea) => ({
+      ...idea,
+      promptId: typeof idea.promptId === "string" ? idea.promptId : null
+    }))
+  }),
+  12: (board) => ({
+    ...board,
+    analysisOptions: {
+      neighbors: NOVELTY_NEIGHBORS,
+      ignoredWords: [],
+      ...board.analysisOptions
+    },
+    badgeSettings: normalizeBadgeSettings(board.badgeSettings)
+  }),
+  13: (board) => ({
+    ...board,
+    ideas: board.ideas.map((idea) => ({
+      ...idea,
+      roundId: typeof idea.roundId === "string" ? idea.roundId : null
+    }))
+  })
+};
+
+// Smallest numeric suffix that is safe for the next "i<n>" idea id. Ideas
+// added to a board that has been shared also carry the tab's site, as
+// "i<n>-<site>".
+function nextIdeaIdFor(ideas, storedNextId) {
+  let next = Number.isInteger(storedNextId) && storedNextId > 0 ? storedNextId : 1;
+  ideas.forEach((idea) => {
+    const match = /^i(\d+)(?:-\w+)?$/.exec(idea.id);
+    if (match) {
+      next = Math.max(next, Number(match[1]) + 1);
+    }
+  });
+  return next;
+}
+
+// The id of the `next` idea. On a board that has been shared the adding
+// browser's site is part of it, so browsers adding ideas while offline, each
+// from the same nextIdeaIdFor, still pick different ids.
+function newIdeaId(next, site = null) {
+  return site ? `i${next}-${site}` : `i${next}`;
+}
+
+function migrateBoard(raw) {
+  let board = { ...raw };
+  let version = Number.isInteger(board.schemaVersion) ? board.schemaVersion : 0;
+  if (version > BOARD_SCHEMA_VERSION) {
+    throw new Error(
+      `Board was saved by a newer version (schema ${version}) of AffinityBoard`
+    );
+  }
+  while (version < BOARD_SCHEMA_VERSION) {
+    board = BOARD_MIGRATIONS[version](board);
+    version += 1;
+  }
+  board.schemaVersion = BOARD_SCHEMA_VERSION;
+  board.nextIdeaId = nextIdeaIdFor(board.ideas, board.nextIdeaId);
+  return board;
+}
+
+export {
+  DEFAULT_VOTING,
+  DEFAULT_SESSION,
+  EMPTY_CURATION,
+  NOVELTY_BANDS,
+  STANDOUT_SCORE,
+  FIELD_TYPES,
+  uniqueLabels,
+  normalizeTags,
+  normalizeFieldDefs,
+  normalizePrompts,
+  EMPTY_FILTERS,
+  FILTER_LISTS,
+  normalizeFilters,
+  clampNumber,
+  normalizeBands,
+  normalizeBadgeSettings,
+  BOARD_SCHEMA_VERSION,
+  LEGACY_CLUSTERING_OPTIONS,
+  BOARD_MIGRATIONS,
+  nextIdeaIdFor,
+  newIdeaId,
+  migrateBoard
+};
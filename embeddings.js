@@ -0,0 +1,82 @@
+// AffinityBoard embedding providers. An embedding provider is
+// { id, label, batchSize, embed(texts) } where `embed` resolves to one vector
+// per input text, in order. Vectors are cached per text, so editing one
+// sticky only re-embeds that sticky.
+//
+// It is an ES module with no DOM access, shared by the page (index.html) and
+// the tests; app.jsx keeps the endpoint settings and passes the vectors on to
+// the analysis worker.
+
+// Adapter for OpenAI-style endpoints: POST { input: [...], model } and read
+// back { data: [{ index, embedding }] }.
+function createHttpEmbeddingProvider({
+  endpoint,
+  model,
+  apiKey,
+  batchSize = 64,
+  timeoutMs = 20000
+}) {
+  return {
+    id: "http",
+    label: model ? `${model} @ ${endpoint}` : endpoint,
+    batchSize: Math.max(1, Number(batchSize) || 64),
+    async embed(texts) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const headers = { "Content-Type": "application/json" };
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+        const response = await fetch(endpoint, {
+          method: "POST",
+          headers,
+          body: JSON.stringify(model ? { input: texts, model } : { input: texts }),
+          signal: controller.signal
+        });
+        if (!response.ok) {
+          throw new Error(
+            `Embedding request failed: ${response.status} ${response.statusText}`
+          );
+        }
+        const payload = await response.json();
+        if (!payload || !Array.isArray(payload.data)) {
+          throw new Error("Embedding response has no data array");
+        }
+        return payload.data
+          .map((item, idx) => ({ item, index: item.index ?? idx }))
+          .sort((a, b) => a.index - b.index)
+          .map(({ item }) => {
+            if (!Array.isArray(item.embedding)) {
+              throw new Error("Embedding response item has no embedding");
+            }
+            return item.embedding;
+          });
+      } catch (err) {
+        if (err.name === "AbortError") {
+          throw new Error(`Embedding request timed out after ${timeoutMs} ms`);
+        }
+        throw err;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  };
+}
+
+// Embeds every text not yet in `cache` (a Map of text -> vector), in
+// batches of provider.batchSize.
+async function embedTexts(provider, texts, cache) {
+  const missing = Array.from(new Set(texts)).filter((t) => !cache.has(t));
+  for (let start = 0; start < missing.length; start += provider.batchSize) {
+    const batch = missing.slice(start, start + provider.batchSize);
+    const vectors = await provider.embed(batch);
+    if (!Array.isArray(vectors) || vectors.length !== batch.length) {
+      throw new Error(
+        `Embedding provider returned ${vectors ? vectors.length : 0} vectors for ${batch.length} texts`
+      );
+    }
+    batch.forEach((text, idx) => cache.set(text, vectors[idx]));
+  }
+  return cache;
+}
+
+export { createHttpEmbeddingProvider, embedTexts };
@@ -0,0 +1,1666 @@
+// AffinityBoard analysis engine: text processing, vectors, clustering,
+// novelty scoring and map projections. It is an ES module with no DOM access,
+// shared by the page (index.html), the analysis worker (analysis-worker.js)
+// and the command-line tool (analyze.mjs).
+
+// ---- Text utilities ----
+
+// Stop words per language. Boards analyse in one language, or detect the
+// language of each text on its own ("auto") so mixed-language teams can
+// share a board.
+const LANGUAGES = {
+  en: {
+    label: "English",
+    stopWords: new Set([
+      "the","a","an","and","or","of","to","in","on","for","with",
+      "is","are","this","that","it","be","by","from","as","at",
+      "we","our","your","you","i","me","my","their","they","them",
+      "was","were","have","has","had","do","did","does"
+    ])
+  },
+  de: {
+    label: "Deutsch",
+    stopWords: new Set([
+      "der","die","das","den","dem","des","ein","eine","einen","einem",
+      "einer","und","oder","aber","zu","zum","zur","in","im","auf","für",
+      "mit","von","vom","an","am","bei","aus","ist","sind","war","wird",
+      "werden","es","wir","ihr","sie","ich","du","uns","unser","unsere",
+      "nicht","auch","so","dass","wie","als","mehr","noch","nach"
+    ])
+  },
+  es: {
+    label: "Español",
+    stopWords: new Set([
+      "el","la","los","las","un","una","unos","unas","y","o","de","del",
+      "a","al","en","para","por","con","sin","que","es","son","fue","ser",
+      "se","lo","le","les","su","sus","nos","nuestro","nuestra","mi","tu",
+      "yo","no","más","como","pero","este","esta","esto","hay","muy"
+    ])
+  },
+  fr: {
+    label: "Français",
+    stopWords: new Set([
+      "le","la","les","l","un","une","des","du","de","d","et","ou","à",
+      "au","aux","en","pour","par","avec","sans","que","qui","est","sont",
+      "être","se","ce","cette","ces","il","elle","ils","nous","vous","je",
+      "notre","nos","leur","leurs","ne","pas","plus","sur","dans","mais"
+    ])
+  },
+  pt: {
+    label: "Português",
+    stopWords: new Set([
+      "o","a","os","as","um","uma","e","ou","de","do","da","dos","das",
+      "em","no","na","nos","nas","para","por","com","sem","que","é","são",
+      "ser","se","seu","sua","nosso","nossa","eu","não","mais","como","mas"
+    ])
+  },
+  it: {
+    label: "Italiano",
+    stopWords: new Set([
+      "il","lo","la","i","gli","le","un","uno","una","e","o","di","del",
+      "della","dei","a","al","alla","in","nel","nella","per","con","su",
+      "che","è","sono","essere","si","ci","noi","voi","io","non","più",
+      "come","ma","questo","questa"
+    ])
+  },
+  nl: {
+    label: "Nederlands",
+    stopWords: new Set([
+      "de","het","een","en","of","van","voor","met","op","in","aan","te",
+      "bij","uit","is","zijn","was","wordt","worden","dat","die","dit",
+      "we","wij","ons","onze","jullie","ze","ik","niet","ook","meer","als"
+    ])
+  },
+  ja: {
+    label: "日本語",
+    stopWords: new Set([
+      "の","は","が","を","に","で","と","も","へ","や","から","まで","より",
+      "です","ます","する","した","して","いる","ある","こと","もの","ため",
+      "これ","それ","あれ","この","その","よう","な","だ","か","ね","よ"
+    ])
+  },
+  zh: {
+    label: "中文",
+    stopWords: new Set([
+      "的","了","是","在","和","与","或","及","我们","我","你","你们","他",
+      "她","它","他们","这","那","这个","那个","有","也","都","就","让",
+      "把","被","对","为","从","到","更","很","不"
+    ])
+  },
+  ko: {
+    label: "한국어",
+    stopWords: new Set([
+      "이","가","은","는","을","를","의","에","에서","와","과","도","로",
+      "으로","하다","있다","그","저","이것","그것","우리","더"
+    ])
+  }
+};
+
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+// Best guess at the language of `text`: the script decides for Japanese,
+// Chinese and Korean, otherwise the language whose stop words occur most.
+// Ties and texts without any stop words count as English.
+function detectLanguage(text) {
+  if (!text) return "en";
+  if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(text)) return "ja";
+  if (/\p{Script=Han}/u.test(text)) return "zh";
+  if (/\p{Script=Hangul}/u.test(text)) return "ko";
+
+  const words = text.normalize("NFKC").toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+  let best = "en";
+  let bestHits = 0;
+  Object.keys(LANGUAGES).forEach((code) => {
+    const stopWords = LANGUAGES[code].stopWords;
+    const hits = words.filter((word) => stopWords.has(word)).length;
+    if (hits > bestHits) {
+      best = code;
+      bestHits = hits;
+    }
+  });
+  return best;
+}
+
+function resolveLanguage(text, language) {
+  return LANGUAGES[language] ? language : detectLanguage(text);
+}
+
+function stopWordsFor(language) {
+  return (LANGUAGES[language] || LANGUAGES.en).stopWords;
+}
+
+const wordSegmenters = {};
+
+function wordSegmenter(language) {
+  if (typeof Intl === "undefined" || !Intl.Segmenter) return null;
+  if (!wordSegmenters[language]) {
+    wordSegmenters[language] = new Intl.Segmenter(language, { granularity: "word" });
+  }
+  return wordSegmenters[language];
+}
+
+// Without Intl.Segmenter, runs of CJK characters (which have no spaces
+// between words) fall back to overlapping character bigrams.
+function cjkBigrams(run) {
+  if (run.length < 2) return [run];
+  const grams = [];
+  for (let i = 0; i < run.length - 1; i++) grams.push(run.slice(i, i + 2));
+  return grams;
+}
+
+// Lower-cased words of `text` in any script. Punctuation separates words
+// ("don't" -> "don", "t"), and CJK text is split into dictionary words.
+function splitWords(text, language = "en") {
+  if (!text) return [];
+  const normalized = text.normalize("NFKC").toLowerCase();
+  const segmenter = wordSegmenter(language);
+  const chunks = segmenter
+    ? Array.from(segmenter.segment(normalized))
+        .filter((part) => part.isWordLike)
+        .map((part) => part.segment)
+    : [normalized];
+
+  const words = [];
+  chunks.forEach((chunk) => {
+    (chunk.match(/[\p{L}\p{M}\p{N}]+/gu) || []).forEach((word) => {
+      if (!segmenter && CJK_PATTERN.test(word)) words.push(...cjkBigrams(word));
+      else words.push(word);
+    });
+  });
+  return words;
+}
+
+// `ignoredWords` are lower-cased words a board drops on top of the
+// language's stop words, such as its product name.
+function tokenize(text, language, ignoredWords = []) {
+  const resolved = resolveLanguage(text, language);
+  const stopWords = stopWordsFor(resolved);
+  return splitWords(text, resolved).filter(
+    (word) => !stopWords.has(word) && !ignoredWords.includes(word)
+  );
+}
+
+// Light suffix stripping in the spirit of Porter's stemmer, so "reward",
+// "rewards" and "rewarding" share a dimension. It only needs to be
+// consistent, not to produce dictionary words.
+function stemWord(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  let stem = word;
+
+  if (/sses$/.test(stem)) stem = stem.slice(0, -2);
+  else if (/ies$/.test(stem) && stem.length > 4) stem = stem.slice(0, -3) + "y";
+  else if (/[^su]s$/.test(stem)) stem = stem.slice(0, -1);
+
+  const suffixes = ["ingly", "edly", "ing", "ed", "ly", "ness", "ment", "ful"];
+  for (const suffix of suffixes) {
+    const base = stem.slice(0, -suffix.length);
+    if (stem.endsWith(suffix) && base.length >= 4 && /[aeiouy]/.test(base)) {
+      stem = base;
+      // "stopping" -> "stopp" -> "stop"
+      if (/([^aeiouslz])\1$/.test(stem)) stem = stem.slice(0, -1);
+      break;
+    }
+  }
+
+  if (stem.length > 4 && stem.endsWith("e")) stem = stem.slice(0, -1);
+  return stem;
+}
+
+// Terms that make up a text's vector. Stop words (and `ignoredWords`) are
+// dropped and also break bigrams, so "push a notification" does not yield
+// "push notification". The stemmer only knows English suffixes, so other
+// languages keep whole words.
+function extractTerms(
+  text,
+  { stemming = false, bigrams = false, language = "auto", ignoredWords = [] } = {}
+) {
+  const resolved = resolveLanguage(text, language);
+  const stopWords = stopWordsFor(resolved);
+  const stem = stemming && resolved === "en";
+  const terms = [];
+  let previous = null;
+  splitWords(text, resolved).forEach((word) => {
+    if (stopWords.has(word) || ignoredWords.includes(word)) {
+      previous = null;
+      return;
+    }
+    const term = stem ? stemWord(word) : word;
+    terms.push(term);
+    if (bigrams && previous) {
+      terms.push(previous + " " + term);
+    }
+    previous = term;
+  });
+  return terms;
+}
+
+function countTerms(text, termOptions) {
+  const counts = new Map();
+  extractTerms(text, termOptions).forEach((term) => {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  });
+  return counts;
+}
+
+// Vectors come in two shapes. Bag-of-words vectors are sparse,
+// { indices, values, norm } with ascending vocabulary indices, so a sticky
+// costs memory for the words it uses rather than for the whole vocabulary.
+// Provider embeddings and centroids are plain dense arrays. The helpers below
+// accept either.
+function sparseVector(entries) {
+  const sorted = Array.from(entries)
+    .filter(([, value]) => value !== 0)
+    .sort((a, b) => a[0] - b[0]);
+  const indices = new Int32Array(sorted.length);
+  const values = new Float64Array(sorted.length);
+  let sumSquares = 0;
+  sorted.forEach(([index, value], k) => {
+    indices[k] = index;
+    values[k] = value;
+    sumSquares += value * value;
+  });
+  return { indices, values, norm: Math.sqrt(sumSquares) };
+}
+
+function isSparse(vector) {
+  return !Array.isArray(vector) && !ArrayBuffer.isView(vector);
+}
+
+// Dense vectors are never modified once built, so their norms are cached.
+const denseNorms = new WeakMap();
+
+function vectorNorm(vector) {
+  if (isSparse(vector)) return vector.norm;
+  let norm = denseNorms.get(vector);
+  if (norm === undefined) {
+    let sumSquares = 0;
+    for (let d = 0; d < vector.length; d++) sumSquares += vector[d] * vector[d];
+    norm = Math.sqrt(sumSquares);
+    denseNorms.set(vector, norm);
+  }
+  return norm;
+}
+
+function dotProduct(a, b) {
+  if (isSparse(b) && !isSparse(a)) return dotProduct(b, a);
+  let dot = 0;
+  if (isSparse(a) && isSparse(b)) {
+    let i = 0;
+    let j = 0;
+    while (i < a.indices.length && j < b.indices.length) {
+      if (a.indices[i] === b.indices[j]) dot += a.values[i++] * b.values[j++];
+      else if (a.indices[i] < b.indices[j]) i++;
+      else j++;
+    }
+  } else if (isSparse(a)) {
+    // A sparse vector against a dense centroid over the same vocabulary.
+    for (let k = 0; k < a.indices.length; k++) {
+      dot += a.values[k] * (b[a.indices[k]] || 0);
+    }
+  } else if (a.length === b.length) {
+    for (let d = 0; d < a.length; d++) dot += a[d] * b[d];
+  }
+  return dot;
+}
+
+const BIGRAM_WEIGHT = 0.5;
+
+// Vector models weigh a text's term counts into a vector. `termWeight` is a
+// term's weight across the board, given how many of the board's `docCount`
+// texts (problem statement first, if any) contain it; `countWeight` scales
+// the term's count within one text. Add an entry here to plug in another
+// weighting scheme.
+const VECTOR_MODELS = {
+  tfidf: {
+    label: "TF-IDF",
+    // Smoothed inverse document frequency. Bigrams repeat information
+    // already carried by their unigrams, so they count for less to keep
+    // short ideas comparable.
+    termWeight(term, docFreq, docCount) {
+      const idf = Math.log((1 + docCount) / (1 + docFreq)) + 1;
+      return term.includes(" ") ? idf * BIGRAM_WEIGHT : idf;
+    },
+    countWeight: (count) => 1 + Math.log(count)
+  },
+  counts: {
+    label: "Term counts",
+    termWeight: () => 1,
+    countWeight: (count) => count
+  }
+};
+
+function cosineSimilarity(a, b) {
+  if (!a || !b) return 0;
+  const normA = vectorNorm(a);
+  const normB = vectorNorm(b);
+  if (normA === 0 || normB === 0) return 0;
+  return dotProduct(a, b) / (normA * normB);
+}
+
+function capitalize(word) {
+  if (!word) return "";
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+// Labels for a set of themes, given each theme's texts. Class-based TF-IDF
+// treats a theme's texts as one document: a term scores by how much of the
+// theme it makes up, weighted down by how much it is used across all themes,
+// so a word every theme shares ranks low however common it is. Phrases of
+// two words compete with single words when the theme uses them more than
+// once, and win ties, as do terms the theme uses first; a term that shares a
+// word (or its plural) with one already picked is skipped, so "Push
+// notification" is not followed by "Push" or "Notifications".
+function distinctiveKeywords(groups, maxWords, { language, ignoredWords } = {}) {
+  const counts = groups.map((texts) => {
+    const termCounts = new Map();
+    texts.forEach((text) =>
+      extractTerms(text, { bigrams: true, language, ignoredWords }).forEach(
+        (term) => termCounts.set(term, (termCounts.get(term) || 0) + 1)
+      )
+    );
+    return termCounts;
+  });
+  const totals = new Map();
+  let termCount = 0;
+  counts.forEach((termCounts) =>
+    termCounts.forEach((count, term) => {
+      totals.set(term, (totals.get(term) || 0) + count);
+      termCount += count;
+    })
+  );
+  const averageSize = termCount / Math.max(1, groups.length);
+
+  return counts.map((termCounts) => {
+    let size = 0;
+    termCounts.forEach((count) => (size += count));
+    const scored = [];
+    termCounts.forEach((count, term) => {
+      const phrase = term.includes(" ");
+      if (phrase && count < 2) return;
+      const score = (count / size) * Math.log(1 + averageSize / totals.get(term));
+      scored.push({ term, score, length: phrase ? 2 : 1 });
+    });
+    // Sorting is stable, so equal scores keep the order the theme used them.
+    scored.sort((a, b) => b.score - a.score || b.length - a.length);
+
+    const roots = (term) => term.split(" ").map((w) => w.replace(/s$/, ""));
+    const picked = [];
+    const pickedRoots = new Set();
+    for (const { term } of scored) {
+      if (picked.length === maxWords) break;
+      const words = roots(term);
+      if (words.some((w) => pickedRoots.has(w))) continue;
+      picked.push(term);
+      words.forEach((w) => pickedRoots.add(w));
+    }
+    return picked.map(capitalize);
+  });
+}
+
+// ---- Clustering & novelty ----
+
+const DEFAULT_CLUSTERING_OPTIONS = {
+  algorithm: "agglomerative",
+  threshold: 0.25, // similarity needed to join / merge (greedy, agglomerative)
+  k: "auto", // number of themes for k-means / k-medoids, or "auto"
+  maxK: 8 // upper bound when k is chosen by silhouette score
+};
+
+// Pairwise cosine similarities, computed once per clustering run.
+function similarityMatrix(vectors) {
+  const n = vectors.length;
+  const sim = [];
+  for (let i = 0; i < n; i++) sim.push(new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    sim[i][i] = 1;
+    for (let j = i + 1; j < n; j++) {
+      const s = cosineSimilarity(vectors[i], vectors[j]);
+      sim[i][j] = s;
+      sim[j][i] = s;
+    }
+  }
+  return sim;
+}
+
+// Centroids are dense; sparse members are added in by vocabulary index.
+function meanVector(vectors, members) {
+  let size = 0;
+  members.forEach((idx) => {
+    const v = vectors[idx];
+    const length = isSparse(v) ? v.indices[v.indices.length - 1] + 1 || 0 : v.length;
+    size = Math.max(size, length);
+  });
+  const centroid = new Float64Array(size);
+  members.forEach((idx) => {
+    const v = vectors[idx];
+    if (isSparse(v)) {
+      for (let k = 0; k < v.indices.length; k++) centroid[v.indices[k]] += v.values[k];
+    } else {
+      for (let d = 0; d < v.length; d++) centroid[d] += v[d];
+    }
+  });
+  for (let d = 0; d < size; d++) centroid[d] /= members.length;
+  return centroid;
+}
+
+function bestByScore(count, scoreFor) {
+  let bestIdx = -1;
+  let bestScore = -Infinity;
+  for (let i = 0; i < count; i++) {
+    const score = scoreFor(i);
+    if (score > bestScore) {
+      bestScore = score;
+      bestIdx = i;
+    }
+  }
+  return { index: bestIdx, score: bestScore };
+}
+
+// Mean silhouette over all points, with distance = 1 - similarity.
+// Singletons count as 0, as is customary.
+function silhouetteScore(groups, sim) {
+  if (groups.length < 2) return 0;
+  // Mean distance from point i to the members of `others`, leaving i out.
+  const meanDist = (i, others) => {
+    const row = sim[i];
+    let sum = 0;
+    let n = 0;
+    for (let k = 0; k < others.length; k++) {
+      if (others[k] === i) continue;
+      sum += 1 - row[others[k]];
+      n += 1;
+    }
+    return n ? sum / n : 0;
+  };
+  let total = 0;
+  let count = 0;
+  groups.forEach((members, g) => {
+    members.forEach((i) => {
+      count += 1;
+      if (members.length === 1) return;
+      const a = meanDist(i, members);
+      let b = Infinity;
+      for (let h = 0; h < groups.length; h++) {
+        if (h !== g) b = Math.min(b, meanDist(i, groups[h]));
+      }
+      const denom = Math.max(a, b);
+      total += denom > 0 ? (b - a) / denom : 0;
+    });
+  });
+  return count ? total / count : 0;
+}
+
+// Greedy single pass (most central ideas first) followed by reassignment
+// rounds that move every idea to its best-fitting centroid until stable.
+function clusterGreedy(vectors, sim, { threshold }) {
+  const n = vectors.length;
+  const density = sim.map((row) => row.reduce((acc, x) => acc + x, 0));
+  const order = vectors.map((_, idx) => idx).sort((a, b) => density[b] - density[a] || a - b);
+
+  let groups = [];
+  let centroids = [];
+  order.forEach((idx) => {
+    const best = bestByScore(centroids.length, (c) =>
+      cosineSimilarity(vectors[idx], centroids[c])
+    );
+    if (best.index !== -1 && best.score >= threshold) {
+      groups[best.index].push(idx);
+      centroids[best.index] = meanVector(vectors, groups[best.index]);
+    } else {
+      groups.push([idx]);
+      centroids.push(vectors[idx]);
+    }
+  });
+
+  for (let round = 0; round < 10; round++) {
+    const assignment = new Array(n);
+    let moved = false;
+    groups.forEach((members, g) => members.forEach((idx) => (assignment[idx] = g)));
+    const next = groups.map(() => []);
+    for (let idx = 0; idx < n; idx++) {
+      const current = assignment[idx];
+      const best = bestByScore(centroids.length, (c) =>
+        cosineSimilarity(vectors[idx], centroids[c])
+      );
+      const currentSim = cosineSimilarity(vectors[idx], centroids[current]);
+      const target =
+        best.index !== current && best.score >= threshold && best.score > currentSim
+          ? best.index
+          : current;
+      if (target !== current) moved = true;
+      next[target].push(idx);
+    }
+    groups = next.filter((members) => members.length > 0);
+    centroids = groups.map((members) => meanVector(vectors, members));
+    if (!moved) break;
+  }
+  return groups;
+}
+
+// Average-linkage agglomerative clustering: repeatedly merge the two most
+// similar groups until no pair is at least `threshold` similar on average.
+// Each group remembers its most similar later group, so a merge only rescans
+// the rows it affected instead of the whole linkage matrix.
+function clusterAgglomerative(vectors, sim, { threshold }) {
+  const n = vectors.length;
+  const groups = vectors.map((_, idx) => [idx]);
+  const active = new Array(n).fill(true);
+  const linkage = sim.map((row) => row.slice());
+  const partner = new Array(n).fill(-1);
+  const partnerSim = new Array(n).fill(-Infinity);
+
+  // Ties go to the earliest pair, as in a plain row-by-row scan.
+  const findPartner = (a) => {
+    partner[a] = -1;
+    partnerSim[a] = -Infinity;
+    for (let b = a + 1; b < n; b++) {
+      if (active[b] && linkage[a][b] > partnerSim[a]) {
+        partner[a] = b;
+        partnerSim[a] = linkage[a][b];
+      }
+    }
+  };
+  for (let a = 0; a < n; a++) findPartner(a);
+
+  for (;;) {
+    let bestA = -1;
+    for (let a = 0; a < n; a++) {
+      if (active[a] && partner[a] !== -1 && (bestA === -1 || partnerSim[a] > partnerSim[bestA])) {
+        bestA = a;
+      }
+    }
+    if (bestA === -1 || partnerSim[bestA] < threshold) break;
+    const bestB = partner[bestA];
+
+    // Lance–Williams update for average linkage.
+    const sizeA = groups[bestA].length;
+    const sizeB = groups[bestB].length;
+    for (let c = 0; c < n; c++) {
+      const merged = (sizeA * linkage[bestA][c] + sizeB * linkage[bestB][c]) / (sizeA + sizeB);
+      linkage[bestA][c] = merged;
+      linkage[c][bestA] = merged;
+    }
+    groups[bestA] = groups[bestA].concat(groups[bestB]);
+    active[bestB] = false;
+
+    for (let a = 0; a < n; a++) {
+      if (!active[a]) continue;
+      if (a === bestA || partner[a] === bestA || partner[a] === bestB) {
+        findPartner(a);
+      } else if (a < bestA) {
+        const s = linkage[a][bestA];
+        if (s > partnerSim[a] || (s === partnerSim[a] && bestA < partner[a])) {
+          partner[a] = bestA;
+          partnerSim[a] = s;
+        }
+      }
+    }
+  }
+  return groups.filter((_, idx) => active[idx]);
+}
+
+// Deterministic seeding: start from the most central idea, then keep adding
+// the idea least similar to every seed so far (farthest-first).
+function farthestFirstSeeds(sim, k) {
+  const density = sim.map((row) => row.reduce((acc, x) => acc + x, 0));
+  const seeds = [bestByScore(sim.length, (i) => density[i]).index];
+  while (seeds.length < k) {
+    const next = bestByScore(sim.length, (i) =>
+      seeds.includes(i) ? -Infinity : -Math.max(...seeds.map((s) => sim[i][s]))
+    );
+    seeds.push(next.index);
+  }
+  return seeds;
+}
+
+function groupsFromAssignment(assignment, k) {
+  const groups = Array.from({ length: k }, () => []);
+  assignment.forEach((g, idx) => groups[g].push(idx));
+  return groups.filter((members) => members.length > 0);
+}
+
+function runKMeans(vectors, sim, k) {
+  let centroids = farthestFirstSeeds(sim, k).map((idx) => vectors[idx]);
+  let assignment = [];
+  for (let iter = 0; iter < 50; iter++) {
+    const next = vectors.map(
+      (v) => bestByScore(centroids.length, (c) => cosineSimilarity(v, centroids[c])).index
+    );
+    const stable = next.every((g, idx) => g === assignment[idx]);
+    assignment = next;
+    if (stable) break;
+    centroids = centroids.map((centroid, c) => {
+      const members = [];
+      assignment.forEach((g, idx) => g === c && members.push(idx));
+      return members.length ? meanVector(vectors, members) : centroid;
+    });
+  }
+  return groupsFromAssignment(assignment, k);
+}
+
+function runKMedoids(vectors, sim, k) {
+  let medoids = farthestFirstSeeds(sim, k);
+  let assignment = [];
+  for (let iter = 0; iter < 50; iter++) {
+    assignment = sim.map((row) => bestByScore(medoids.length, (m) => row[medoids[m]]).index);
+    const next = medoids.map((medoid, m) => {
+      const members = [];
+      assignment.forEach((g, idx) => g === m && members.push(idx));
+      if (members.length === 0) return medoid;
+      return members[
+        bestByScore(members.length, (i) =>
+          members.reduce((acc, j) => acc + sim[members[i]][j], 0)
+        ).index
+      ];
+    });
+    if (next.every((medoid, m) => medoid === medoids[m])) break;
+    medoids = next;
+  }
+  return groupsFromAssignment(assignment, k);
+}
+
+// Runs a k-based algorithm for a fixed k, or for every k up to maxK and
+// keeps the split with the best silhouette score.
+function clusterWithK(run) {
+  return (vectors, sim, options) => {
+    const n = vectors.length;
+    if (options.k !== "auto") {
+      return run(vectors, sim, Math.max(1, Math.min(n, Number(options.k) || 1)));
+    }
+    if (n < 3) return clusterAgglomerative(vectors, sim, options);
+    let best = null;
+    for (let k = 2; k <= Math.min(options.maxK, n - 1); k++) {
+      const groups = run(vectors, sim, k);
+      const score = silhouetteScore(groups, sim);
+      if (!best || score > best.score + 1e-9) best = { groups, score };
+    }
+    return best.groups;
+  };
+}
+
+const CLUSTERING_ALGORITHMS = {
+  agglomerative: {
+    label: "Agglomerative (average linkage)",
+    usesThreshold: true,
+    run: clusterAgglomerative
+  },
+  greedy: {
+    label: "Greedy + reassignment",
+    usesThreshold: true,
+    run: clusterGreedy
+  },
+  kmeans: {
+    label: "k-means",
+    usesK: true,
+    run: clusterWithK(runKMeans)
+  },
+  kmedoids: {
+    label: "k-medoids",
+    usesK: true,
+    run: clusterWithK(runKMedoids)
+  }
+};
+
+// The medoid of a theme is the member with the highest total similarity to
+// the others, its most representative idea; cohesion is the mean similarity
+// between members, null for a theme of one.
+function themeCohesion(members, sim) {
+  let medoid = members[0];
+  let best = -Infinity;
+  let total = 0;
+  members.forEach((i) => {
+    let sum = 0;
+    members.forEach((j) => {
+      if (j !== i) sum += sim[i][j];
+    });
+    total += sum;
+    if (sum > best) {
+      best = sum;
+      medoid = i;
+    }
+  });
+  const pairs = members.length * (members.length - 1);
+  return { medoid, cohesion: pairs > 0 ? total / pairs : null };
+}
+
+// Groups ideas into themes. Ideas are put into a canonical order (by text)
+// before clustering, so the result does not depend on the order in which
+// they were added to the board.
+//
+// Manual themes from `curation` are laid down first: their pinned ideas never
+// move, and every other idea joins the manual theme whose pinned centroid it
+// fits best (if it clears the join threshold). Whatever is left is clustered
+// by the selected algorithm. `similarities`, when given, holds the pairwise
+// similarities of `ideas` in board order. The language and ignored words of
+// `termOptions` apply to the theme labels.
+function clusterIdeas(ideas, ideaVectors, clusteringOptions, curation, termOptions, similarities = null) {
+  const options = { ...DEFAULT_CLUSTERING_OPTIONS, ...clusteringOptions };
+  const algorithm =
+    CLUSTERING_ALGORITHMS[options.algorithm] ||
+    CLUSTERING_ALGORITHMS[DEFAULT_CLUSTERING_OPTIONS.algorithm];
+
+  const ordered = ideas
+    .filter((idea) => ideaVectors[idea.id])
+    .sort((a, b) =>
+      a.text < b.text ? -1 : a.text > b.text ? 1 : a.id < b.id ? -1 : a.id > b.id ? 1 : 0
+    );
+  if (ordered.length === 0) {
+    return { clusters: [], silhouette: null };
+  }
+
+  const boardOrder = {};
+  ideas.forEach((idea, idx) => (boardOrder[idea.id] = idx));
+  const vectors = ordered.map((idea) => ideaVectors[idea.id]);
+  const positions = ordered.map((idea) => boardOrder[idea.id]);
+  const sim = similarities
+    ? positions.map((i) => {
+        const row = new Array(positions.length);
+        for (let k = 0; k < positions.length; k++) row[k] = similarities[i][positions[k]];
+        return row;
+      })
+    : similarityMatrix(vectors);
+  const indexById = {};
+  ordered.forEach((idea, idx) => (indexById[idea.id] = idx));
+
+  const pinnedIndexes = new Set();
+  const manualThemes = ((curation && curation.themes) || [])
+    .map((theme) => {
+      const members = theme.pinnedIds
+        .map((id) => indexById[id])
+        .filter((idx) => idx !== undefined && !pinnedIndexes.has(idx));
+      members.forEach((idx) => pinnedIndexes.add(idx));
+      return { theme, pinned: members, members: members.slice() };
+    })
+    .filter((entry) => entry.pinned.length > 0);
+
+  const manualCentroids = manualThemes.map((entry) =>
+    meanVector(vectors, entry.pinned)
+  );
+  const rest = [];
+  ordered.forEach((_, idx) => {
+    if (pinnedIndexes.has(idx)) return;
+    const best = bestByScore(manualCentroids.length, (t) =>
+      cosineSimilarity(vectors[idx], manualCentroids[t])
+    );
+    if (best.index !== -1 && best.score >= options.threshold) {
+      manualThemes[best.index].members.push(idx);
+    } else {
+      rest.push(idx);
+    }
+  });
+
+  const autoGroups = rest.length
+    ? algorithm
+        .run(
+          rest.map((idx) => vectors[idx]),
+          rest.length === ordered.length ? sim : rest.map((i) => rest.map((j) => sim[i][j])),
+          options
+        )
+        .map((members) => members.map((m) => rest[m]))
+        .sort(
+          (a, b) => b.length - a.length || Math.min(...a) - Math.min(...b)
+        )
+    : [];
+
+  const allGroups = manualThemes.map((entry) => entry.members).concat(autoGroups);
+  const silhouette = allGroups.length > 1 ? silhouetteScore(allGroups, sim) : null;
+
+  // Manual themes first, then the largest automatic ones; members keep their
+  // board order for display.
+  const toIds = (members) =>
+    members
+      .map((idx) => ordered[idx].id)
+      .sort((a, b) => boardOrder[a] - boardOrder[b]);
+  const describe = (members) => {
+    const { medoid, cohesion } = themeCohesion(members, sim);
+    return { medoidId: ordered[medoid].id, cohesion };
+  };
+  const clusters = manualThemes
+    .map(({ theme, pinned, members }) => ({
+      id: theme.id,
+      ideaIds: toIds(members),
+      pinnedIds: toIds(pinned),
+      manual: true,
+      customName: theme.name || null,
+      primaryName: "",
+      keywords: [],
+      ...describe(members)
+    }))
+    .concat(
+      autoGroups.map((members, idx) => ({
+        id: "c" + (idx + 1),
+        ideaIds: toIds(members),
+        pinnedIds: [],
+        manual: false,
+        customName: null,
+        primaryName: "",
+        keywords: [],
+        ...describe(members)
+      }))
+    );
+
+  // assign names & keywords
+  const keywordLists = distinctiveKeywords(
+    allGroups.map((members) => members.map((idx) => ordered[idx].text)),
+    3,
+    termOptions
+  );
+  clusters.forEach((cluster, idx) => {
+    const keywords = keywordLists[idx];
+    cluster.keywords = keywords;
+    cluster.primaryName =
+      cluster.customName ||
+      (keywords.length ? keywords.join(" · ") : `Theme ${idx + 1}`);
+  });
+
+  return { clusters, silhouette };
+}
+
+// Splits a theme's ideas into two groups of similar ideas (k-medoids, k = 2).
+// Returns null when the theme is too small to split.
+function splitClusterIdeas(ideaIds, ideaVectors) {
+  const ids = ideaIds.filter((id) => ideaVectors[id]);
+  if (ids.length < 2) return null;
+  const vectors = ids.map((id) => ideaVectors[id]);
+  const groups = runKMedoids(vectors, similarityMatrix(vectors), 2);
+  if (groups.length < 2) {
+    const half = Math.ceil(ids.length / 2);
+    return [ids.slice(0, half), ids.slice(half)];
+  }
+  return groups.map((members) => members.map((idx) => ids[idx]));
+}
+
+// How many nearest neighbours an idea's novelty is measured against, unless
+// the board says otherwise.
+const NOVELTY_NEIGHBORS = 3;
+
+// "relative" min–max rescales the combined value across the board, so the
+// most novel idea always scores 100. "absolute" skips the rescaling and
+// scores 100 × rawNovelty × relevance weight, which keeps a score comparable
+// over time and across boards. An idea counts as fully on topic once its
+// similarity to the problem statement reaches ABSOLUTE_RELEVANCE_FULL.
+const NOVELTY_SCORING = {
+  relative: { label: "Relative to this board" },
+  absolute: { label: "Absolute (stable)" }
+};
+const ABSOLUTE_RELEVANCE_FULL = 0.25;
+
+// `similarities`, when given, holds the pairwise similarities of `ideas` in
+// board order, as computed by the analyzer. `promptVectors` maps the ids of
+// the board's prompts to their vectors; an idea's relevance is then its
+// similarity to whichever of the problem statement and the prompts it is
+// closest to, and `details.promptRelevance` keeps its similarity to each.
+// `neighborCount` is how many of the most similar ideas are averaged.
+function computeNoveltyScores(
+  ideas,
+  ideaVectors,
+  problemVector,
+  hasProblem,
+  scoring = "relative",
+  similarities = null,
+  promptVectors = {},
+  neighborCount = NOVELTY_NEIGHBORS
+) {
+  const details = {};
+  const combinedMap = {};
+
+  if (ideas.length === 0) {
+    return {
+      scores: {},
+      scoresByMode: { relative: {}, absolute: {} },
+      details,
+      scale: null,
+      stats: { avgNovelty: null, maxNovelty: null }
+    };
+  }
+
+  const idList = ideas.map((i) => i.id);
+  let minCombined = null;
+  let maxCombined = null;
+
+  const vectors = idList.map((id) => ideaVectors[id]);
+  const promptIds = Object.keys(promptVectors);
+  const hasTopic = hasProblem || promptIds.length > 0;
+
+  idList.forEach((id, i) => {
+    const vec = vectors[i];
+    if (!vec) return;
+
+    const relevanceTo = (vector) =>
+      Math.max(0, Math.min(1, cosineSimilarity(vec, vector)));
+    let relevance = hasProblem ? relevanceTo(problemVector) : null;
+    let relevanceSource = hasProblem ? "problem" : null;
+    const promptRelevance = {};
+    promptIds.forEach((promptId) => {
+      const r = relevanceTo(promptVectors[promptId]);
+      promptRelevance[promptId] = r;
+      if (relevance === null || r > relevance) {
+        relevance = r;
+        relevanceSource = promptId;
+      }
+    });
+    if (relevance === null) relevance = 1;
+
+    // The most similar other ideas, most similar first and earlier ideas
+    // first on ties.
+    const neighbors = [];
+    for (let j = 0; j < idList.length; j++) {
+      if (j === i || !vectors[j]) continue;
+      const s = similarities ? similarities[i][j] : cosineSimilarity(vec, vectors[j]);
+      const full = neighbors.length === neighborCount;
+      if (full && s <= neighbors[neighbors.length - 1].similarity) continue;
+      let at = neighbors.length;
+      while (at > 0 && neighbors[at - 1].similarity < s) at--;
+      neighbors.splice(at, 0, { id: idList[j], similarity: s });
+      if (full) neighbors.pop();
+    }
+
+    // Provider embeddings can point away from each other, so like relevance
+    // the mean is clamped to [0, 1]; rawNovelty, and with it the absolute
+    // score, then stays within range.
+    let meanNeighborSim;
+    if (neighbors.length === 0) {
+      meanNeighborSim = 0.5;
+    } else {
+      const sum = neighbors.reduce((acc, n) => acc + n.similarity, 0);
+      meanNeighborSim = Math.max(0, Math.min(1, sum / neighbors.length));
+    }
+
+    const rawNovelty = 1 - meanNeighborSim;
+    const combined = rawNovelty * relevance;
+    const relevanceWeight = hasTopic
+      ? Math.min(1, relevance / ABSOLUTE_RELEVANCE_FULL)
+      : 1;
+
+    combinedMap[id] = combined;
+    details[id] = {
+      relevance,
+      relevanceSource,
+      promptRelevance,
+      meanNeighborSim,
+      rawNovelty,
+      combined,
+      relevanceWeight,
+      neighbors
+    };
+
+    if (minCombined === null || combined < minCombined) {
+      minCombined = combined;
+    }
+    if (maxCombined === null || combined > maxCombined) {
+      maxCombined = combined;
+    }
+  });
+
+  const exact = { relative: {}, absolute: {} };
+  Object.keys(combinedMap).forEach((id) => {
+    const combined = combinedMap[id];
+    if (maxCombined === minCombined) {
+      exact.relative[id] = 50;
+    } else {
+      exact.relative[id] =
+        100 * (combined - minCombined) / (maxCombined - minCombined);
+    }
+    exact.absolute[id] = 100 * details[id].rawNovelty * details[id].relevanceWeight;
+  });
+
+  const scoresByMode = { relative: {}, absolute: {} };
+  Object.keys(exact).forEach((mode) => {
+    Object.keys(exact[mode]).forEach((id) => {
+      scoresByMode[mode][id] = Math.round(exact[mode][id]);
+    });
+  });
+
+  const selected = exact[scoring] ? scoring : "relative";
+  const values = Object.values(exact[selected]);
+  const scores = scoresByMode[selected];
+  const avgNovelty = values.length
+    ? values.reduce((a, b) => a + b, 0) / values.length
+    : null;
+  const maxNovelty = values.length
+    ? Math.max(...Object.values(scores))
+    : null;
+
+  return {
+    scores,
+    scoresByMode,
+    details,
+    scale: { min: minCombined, max: maxCombined },
+    stats: { avgNovelty, maxNovelty }
+  };
+}
+
+// For each idea, the most similar idea written by someone else, searched over
+// its whole row of `similarities` (board order): { id, similarity }, or null
+// when every other idea is the author's own. Earlier ideas win ties.
+function nearestOtherAuthors(ideas, similarities) {
+  const nearest = {};
+  ideas.forEach((idea, i) => {
+    let best = null;
+    ideas.forEach((other, j) => {
+      if (other.author === idea.author) return;
+      const similarity = similarities[i][j];
+      if (!best || similarity > best.similarity) best = { id: other.id, similarity };
+    });
+    nearest[idea.id] = best;
+  });
+  return nearest;
+}
+
+const DEFAULT_ANALYSIS_OPTIONS = {
+  vectorModel: "tfidf",
+  stemming: true,
+  bigrams: true,
+  language: "auto",
+  scoring: "relative",
+  neighbors: NOVELTY_NEIGHBORS,
+  ignoredWords: [],
+  clustering: DEFAULT_CLUSTERING_OPTIONS
+};
+
+// Sets sim[i][j] and sim[j][i] to the cosine similarity of vectors i and j,
+// for every i in `rows` and every j. Sparse vectors go through an inverted
+// index, so only pairs that share a term cost anything; the sums are added
+// in the same order as in cosineSimilarity, so the results are identical.
+function fillSimilarityRows(vectors, rows, sim) {
+  const n = vectors.length;
+  if (rows.length === 0) return;
+  if (!vectors.every(isSparse)) {
+    rows.forEach((i) => {
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        const s = cosineSimilarity(vectors[i], vectors[j]);
+        sim[i][j] = s;
+        sim[j][i] = s;
+      }
+    });
+    return;
+  }
+
+  const postings = [];
+  vectors.forEach((v, j) => {
+    for (let k = 0; k < v.indices.length; k++) {
+      const index = v.indices[k];
+      (postings[index] || (postings[index] = [])).push(j, v.values[k]);
+    }
+  });
+  const dots = new Float64Array(n);
+  rows.forEach((i) => {
+    const v = vectors[i];
+    dots.fill(0);
+    for (let k = 0; k < v.indices.length; k++) {
+      const list = postings[v.indices[k]];
+      const value = v.values[k];
+      for (let p = 0; p < list.length; p += 2) dots[list[p]] += value * list[p + 1];
+    }
+    for (let j = 0; j < n; j++) {
+      if (j === i) continue;
+      const norms = v.norm * vectors[j].norm;
+      const s = norms === 0 ? 0 : dots[j] / norms;
+      sim[i][j] = s;
+      sim[j][i] = s;
+    }
+  });
+}
+
+// An analyzer keeps what it learned about one board between runs, so an
+// update only redoes the work the change calls for:
+// - terms are extracted once per distinct text;
+// - document frequencies are adjusted for the texts that came and went;
+// - a text's vector is rebuilt only when one of its term weights moved;
+// - the similarity of two vectors that did not change is carried over.
+// With TF-IDF every weight moves when the number of texts does, so adding an
+// idea still recomputes all similarities (from cached counts); term counts
+// and provider embeddings only need the new idea's row.
+//
+// The result is plain data, so it can be posted back from a Web Worker.
+function createAnalyzer() {
+  let termKey = null;
+  let vocab = new Map(); // term -> index; indices are never reused
+  let terms = [];
+  let docFreq = [];
+  let textEntries = new Map(); // text -> { counts: [[index, count]], copies }
+  let vectorModel = null;
+  let vectorCache = new Map(); // text -> { vector, weights }
+  let previous = { indexOf: new Map(), sim: [] };
+
+  function resetTerms(key) {
+    termKey = key;
+    vocab = new Map();
+    terms = [];
+    docFreq = [];
+    textEntries = new Map();
+    vectorCache = new Map();
+    previous = { indexOf: new Map(), sim: [] };
+  }
+
+  function syncTexts(texts, termOptions) {
+    const copies = new Map();
+    texts.forEach((text) => copies.set(text, (copies.get(text) || 0) + 1));
+
+    textEntries.forEach((entry, text) => {
+      const next = copies.get(text) || 0;
+      if (next === entry.copies) return;
+      entry.counts.forEach(([index]) => (docFreq[index] += next - entry.copies));
+      entry.copies = next;
+      if (next === 0) {
+        textEntries.delete(text);
+        vectorCache.delete(text);
+      }
+    });
+
+    copies.forEach((count, text) => {
+      if (textEntries.has(text)) return;
+      const counts = [];
+      countTerms(text, termOptions).forEach((termCount, term) => {
+        if (!vocab.has(term)) {
+          vocab.set(term, terms.length);
+          terms.push(term);
+          docFreq.push(0);
+        }
+        const index = vocab.get(term);
+        docFreq[index] += count;
+        counts.push([index, termCount]);
+      });
+      textEntries.set(text, { counts, copies: count });
+    });
+  }
+
+  function bagOfWordsVector(text, model, docCount) {
+    const { counts } = textEntries.get(text);
+    const weights = counts.map(([index]) =>
+      model.termWeight(terms[index], docFreq[index], docCount)
+    );
+    const cached = vectorCache.get(text);
+    if (cached && cached.weights.every((w, k) => w === weights[k])) {
+      return cached.vector;
+    }
+    const vector = sparseVector(
+      counts.map(([index, count], k) => [index, model.countWeight(count) * weights[k]])
+    );
+    vectorCache.set(text, { vector, weights });
+    return vector;
+  }
+
+  function pairwiseSimilarities(vectors) {
+    const n = vectors.length;
+    const before = vectors.map((v) =>
+      previous.indexOf.has(v) ? previous.indexOf.get(v) : -1
+    );
+    const sim = [];
+    for (let i = 0; i < n; i++) sim.push(new Array(n).fill(0));
+    const changed = [];
+    for (let i = 0; i < n; i++) {
+      sim[i][i] = 1;
+      if (before[i] === -1) {
+        changed.push(i);
+        continue;
+      }
+      for (let j = i + 1; j < n; j++) {
+        if (before[j] === -1) continue;
+        const s =
+          before[j] === before[i]
+            ? cosineSimilarity(vectors[i], vectors[j])
+            : previous.sim[before[i]][before[j]];
+        sim[i][j] = s;
+        sim[j][i] = s;
+      }
+    }
+    fillSimilarityRows(vectors, changed, sim);
+
+    const indexOf = new Map();
+    vectors.forEach((v, i) => {
+      if (!indexOf.has(v)) indexOf.set(v, i);
+    });
+    previous = { indexOf, sim };
+    return sim;
+  }
+
+  function analyze(problemStatement, ideas, options) {
+    if (!ideas || ideas.length === 0) {
+      return {
+        vectorSource: null,
+        vectorModel: null,
+        termOptions: null,
+        vocab: null,
+        termWeights: null,
+        docCount: 0,
+        problemVector: null,
+        promptVectors: {},
+        ideaVectors: {},
+        clusters: [],
+        silhouette: null,
+        noveltyById: {},
+        noveltyByMode: { relative: {}, absolute: {} },
+        noveltyDetails: {},
+        nearestOtherAuthor: {},
+        noveltyScale: null,
+        scoring: "relative",
+        stats: { avgNovelty: null, maxNovelty: null }
+      };
+    }
+
+    const {
+      vectorModel: modelName,
+      stemming,
+      bigrams,
+      language,
+      scoring,
+      clustering,
+      embeddings,
+      curation,
+      prompts,
+      neighbors,
+      ignoredWords
+    } = {
+      ...DEFAULT_ANALYSIS_OPTIONS,
+      ...options
+    };
+    const termOptions = { stemming, bigrams, language, ignoredWords };
+    const key = JSON.stringify(termOptions);
+    if (key !== termKey) resetTerms(key);
+
+    const hasProblemTokens =
+      tokenize(problemStatement, language, ignoredWords).length > 0;
+    const texts = [];
+
+    if (hasProblemTokens) {
+      texts.push(problemStatement);
+    }
+    // Prompts that say nothing the model can read are left out, like an
+    // empty problem statement.
+    const scoredPrompts = (prompts || []).filter(
+      (prompt) => tokenize(prompt.text, language, ignoredWords).length > 0
+    );
+    scoredPrompts.forEach((prompt) => texts.push(prompt.text));
+    ideas.forEach((idea) => texts.push(idea.text));
+    syncTexts(texts, termOptions);
+
+    const modelKey = VECTOR_MODELS[modelName] ? modelName : "tfidf";
+    const model = VECTOR_MODELS[modelKey];
+    if (modelKey !== vectorModel) {
+      vectorModel = modelKey;
+      vectorCache = new Map();
+    }
+
+    // Provider embeddings are used only when every text has one; otherwise
+    // the built-in bag-of-words model keeps the board working.
+    const useEmbeddings = Boolean(
+      embeddings && texts.every((t) => embeddings.has(t))
+    );
+    const vectorFor = useEmbeddings
+      ? (text) => embeddings.get(text)
+      : (text) => bagOfWordsVector(text, model, texts.length);
+    const problemVector = hasProblemTokens ? vectorFor(problemStatement) : null;
+    const promptVectors = {};
+    scoredPrompts.forEach((prompt) => (promptVectors[prompt.id] = vectorFor(prompt.text)));
+
+    const ideaVectors = {};
+    const vectors = ideas.map((idea) => (ideaVectors[idea.id] = vectorFor(idea.text)));
+    const sim = pairwiseSimilarities(vectors);
+
+    const { clusters, silhouette } = clusterIdeas(
+      ideas,
+      ideaVectors,
+      clustering,
+      curation,
+      termOptions,
+      sim
+    );
+    const noveltyResult = computeNoveltyScores(
+      ideas,
+      ideaVectors,
+      problemVector,
+      hasProblemTokens,
+      scoring,
+      sim,
+      promptVectors,
+      neighbors
+    );
+
+    return {
+      vectorSource: useEmbeddings ? "embeddings" : "bag-of-words",
+      // What vectorizeText needs to place new texts among ideaVectors.
+      vectorModel: modelKey,
+      termOptions,
+      vocab: useEmbeddings ? null : new Map(vocab),
+      termWeights: useEmbeddings
+        ? null
+        : Float64Array.from(docFreq, (df, index) =>
+            df > 0 ? model.termWeight(terms[index], df, texts.length) : 0
+          ),
+      docCount: useEmbeddings ? 0 : texts.length,
+      problemVector,
+      promptVectors,
+      ideaVectors,
+      clusters,
+      silhouette,
+      noveltyById: noveltyResult.scores,
+      noveltyByMode: noveltyResult.scoresByMode,
+      noveltyDetails: noveltyResult.details,
+      nearestOtherAuthor: nearestOtherAuthors(ideas, sim),
+      noveltyScale: noveltyResult.scale,
+      scoring: scoring === "absolute" ? "absolute" : "relative",
+      stats: noveltyResult.stats
+    };
+  }
+
+  return { analyze };
+}
+
+// One-off analysis of a board, for callers that do not keep an analyzer.
+function computeAnalysis(problemStatement, ideas, options) {
+  return createAnalyzer().analyze(problemStatement, ideas, options);
+}
+
+// Vector for a text that is not on the board (yet), in the same space as
+// `analysis.ideaVectors`. Terms no idea or problem statement uses get
+// dimensions of their own, weighted as if the text had joined the board:
+// they match nothing, but leaving them out would shrink the vector's norm and
+// make a long draft look like a copy of any idea sharing a few of its words.
+// Null when the analysis used provider embeddings.
+function vectorizeText(analysis, text) {
+  if (!analysis.vocab) return null;
+  const model = VECTOR_MODELS[analysis.vectorModel];
+  const entries = [];
+  let unknownIndex = analysis.termWeights.length;
+  countTerms(text, analysis.termOptions).forEach((count, term) => {
+    const index = analysis.vocab.get(term);
+    if (index !== undefined && analysis.termWeights[index] > 0) {
+      entries.push([index, model.countWeight(count) * analysis.termWeights[index]]);
+    } else {
+      const weight = model.termWeight(term, 1, analysis.docCount + 1);
+      entries.push([unknownIndex++, model.countWeight(count) * weight]);
+    }
+  });
+  return sparseVector(entries);
+}
+
+// ---- Semantic map ----
+
+// Leading eigenpairs of a symmetric matrix by power iteration with
+// deflation. The start vector is fixed and each eigenvector's sign is chosen
+// so its largest component is positive, keeping the map stable between runs.
+function topEigenpairs(matrix, count, iterations = 200) {
+  const n = matrix.length;
+  const work = matrix.map((row) => row.slice());
+  const pairs = [];
+  for (let c = 0; c < count; c++) {
+    let v = Array.from({ length: n }, (_, i) => 1 + ((i * 7919) % 13) / 13);
+    let value = 0;
+    for (let it = 0; it < iterations; it++) {
+      const next = work.map((row) => row.reduce((sum, x, j) => sum + x * v[j], 0));
+      const norm = Math.sqrt(next.reduce((sum, x) => sum + x * x, 0));
+      if (norm < 1e-12) {
+        value = 0;
+        break;
+      }
+      v = next.map((x) => x / norm);
+      value = norm;
+    }
+    const pivot = v.reduce((best, x) => (Math.abs(x) > Math.abs(best) ? x : best), 0);
+    if (pivot < 0) v = v.map((x) => -x);
+    pairs.push({ value, vector: v });
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) work[i][j] -= value * v[i] * v[j];
+    }
+  }
+  return pairs;
+}
+
+// Coordinates from the top two eigenpairs of a (double-centred) Gram matrix.
+function coordinatesFromGram(gram) {
+  const [first, second] = topEigenpairs(gram, 2);
+  return gram.map((_, i) => ({
+    x: first.vector[i] * Math.sqrt(Math.max(0, first.value)),
+    y: second.vector[i] * Math.sqrt(Math.max(0, second.value))
+  }));
+}
+
+function doubleCenter(matrix) {
+  const n = matrix.length;
+  const rowMeans = matrix.map((row) => row.reduce((a, b) => a + b, 0) / n);
+  const grandMean = rowMeans.reduce((a, b) => a + b, 0) / n;
+  return matrix.map((row, i) =>
+    row.map((x, j) => x - rowMeans[i] - rowMeans[j] + grandMean)
+  );
+}
+
+// PCA through the n×n Gram matrix of the centred vectors, which is much
+// smaller than the vocabulary-sized covariance matrix on a typical board.
+function projectPCA(vectors) {
+  const gram = vectors.map((a) => vectors.map((b) => dotProduct(a, b)));
+  return coordinatesFromGram(doubleCenter(gram));
+}
+
+// Classical (Torgerson) MDS on cosine distances.
+function projectMDS(vectors) {
+  const sim = similarityMatrix(vectors);
+  const squared = sim.map((row) => row.map((s) => (1 - s) * (1 - s)));
+  return coordinatesFromGram(doubleCenter(squared).map((row) => row.map((x) => -x / 2)));
+}
+
+// Binary search for the Gaussian precision that gives row i the requested
+// perplexity, returning its conditional probabilities.
+function tsneRow(distances, i, perplexity) {
+  const target = Math.log(perplexity);
+  let beta = 1;
+  let lo = 0;
+  let hi = Infinity;
+  let row = [];
+  for (let step = 0; step < 50; step++) {
+    row = distances[i].map((d, j) => (j === i ? 0 : Math.exp(-d * beta)));
+    const sum = row.reduce((a, b) => a + b, 0) || 1e-12;
+    const entropy =
+      Math.log(sum) + (beta * row.reduce((acc, p, j) => acc + p * distances[i][j], 0)) / sum;
+    row = row.map((p) => p / sum);
+    if (Math.abs(entropy - target) < 1e-5) break;
+    if (entropy > target) {
+      lo = beta;
+      beta = hi === Infinity ? beta * 2 : (beta + hi) / 2;
+    } else {
+      hi = beta;
+      beta = (beta + lo) / 2;
+    }
+  }
+  return row;
+}
+
+// Exact t-SNE, which is fine at board sizes. It starts from the PCA layout
+// instead of random noise so the same ideas always give the same map.
+function projectTSNE(vectors, { perplexity = 8, iterations = 400 } = {}) {
+  const n = vectors.length;
+  if (n < 4) return projectPCA(vectors);
+  const sim = similarityMatrix(vectors);
+  const distances = sim.map((row) => row.map((s) => 2 * (1 - s)));
+  const perp = Math.min(perplexity, (n - 1) / 3);
+  const conditional = distances.map((_, i) => tsneRow(distances, i, perp));
+  const P = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      P[i * n + j] = Math.max((conditional[i][j] + conditional[j][i]) / (2 * n), 1e-12);
+    }
+  }
+
+  const start = projectPCA(vectors);
+  const spread = Math.sqrt(start.reduce((acc, p) => acc + p.x * p.x + p.y * p.y, 0) / n) || 1;
+  const Y = new Float64Array(2 * n);
+  start.forEach((p, i) => {
+    Y[2 * i] = (p.x / spread) * 1e-2;
+    Y[2 * i + 1] = (p.y / spread) * 1e-2;
+  });
+  const velocity = new Float64Array(2 * n);
+  const gains = new Float64Array(2 * n).fill(1);
+  // The gradient's attractive and repulsive parts are summed separately in
+  // one pass over the pairs, since the repulsion is only normalised once the
+  // total kernel sumQ is known. The buffers are reused across iterations.
+  const attraction = new Float64Array(2 * n);
+  const repulsion = new Float64Array(2 * n);
+  const learningRate = Math.max(10, n / 12);
+
+  for (let it = 0; it < iterations; it++) {
+    const exaggeration = it < 100 ? 4 : 1;
+    const momentum = it < 100 ? 0.5 : 0.8;
+    attraction.fill(0);
+    repulsion.fill(0);
+    let sumQ = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const dx = Y[2 * i] - Y[2 * j];
+        const dy = Y[2 * i + 1] - Y[2 * j + 1];
+        const q = 1 / (1 + dx * dx + dy * dy);
+        const pq = P[i * n + j] * q;
+        const qq = q * q;
+        attraction[2 * i] += pq * dx;
+        attraction[2 * i + 1] += pq * dy;
+        attraction[2 * j] -= pq * dx;
+        attraction[2 * j + 1] -= pq * dy;
+        repulsion[2 * i] += qq * dx;
+        repulsion[2 * i + 1] += qq * dy;
+        repulsion[2 * j] -= qq * dx;
+        repulsion[2 * j + 1] -= qq * dy;
+        sumQ += 2 * q;
+      }
+    }
+    for (let k = 0; k < 2 * n; k++) {
+      const grad = 4 * (exaggeration * attraction[k] - repulsion[k] / sumQ);
+      const sameSign = Math.sign(grad) === Math.sign(velocity[k]);
+      gains[k] = Math.max(0.01, sameSign ? gains[k] * 0.8 : gains[k] + 0.2);
+      velocity[k] = momentum * velocity[k] - learningRate * gains[k] * grad;
+    }
+    for (let k = 0; k < 2 * n; k++) Y[k] += velocity[k];
+  }
+  return start.map((_, i) => ({ x: Y[2 * i], y: Y[2 * i + 1] }));
+}
+
+// `maxPoints` caps methods whose cost grows too fast for large boards; past
+// it the map falls back to PCA. Exact t-SNE is O(n²) per iteration and would
+// keep the worker busy for seconds.
+const PROJECTION_METHODS = {
+  pca: { label: "PCA", run: projectPCA },
+  mds: { label: "Classical MDS", run: projectMDS },
+  tsne: { label: "t-SNE", run: (vectors) => projectTSNE(vectors), maxPoints: 500 }
+};
+
+// Lays the board out in 2D. The problem statement, when it has a vector, is
+// projected with the ideas and returned as `anchor`. Coordinates are scaled
+// into [0, 1] with the aspect ratio kept, so distances stay comparable.
+// `method` in the result is the method actually used.
+function projectIdeas(ideas, ideaVectors, problemVector, method) {
+  const ordered = ideas
+    .filter((idea) => ideaVectors[idea.id])
+    .sort((a, b) =>
+      a.text < b.text ? -1 : a.text > b.text ? 1 : a.id < b.id ? -1 : a.id > b.id ? 1 : 0
+    );
+  if (ordered.length === 0) return { points: [], anchor: null, method };
+
+  const vectors = ordered.map((idea) => ideaVectors[idea.id]);
+  if (problemVector) vectors.push(problemVector);
+  let used = PROJECTION_METHODS[method] ? method : "pca";
+  if (vectors.length > (PROJECTION_METHODS[used].maxPoints || Infinity)) used = "pca";
+  const projection = PROJECTION_METHODS[used];
+  const coords = vectors.length < 2 ? [{ x: 0, y: 0 }] : projection.run(vectors);
+
+  const xs = coords.map((c) => c.x);
+  const ys = coords.map((c) => c.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const range = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+  const offsetX = (1 - (Math.max(...xs) - minX) / range) / 2;
+  const offsetY = (1 - (Math.max(...ys) - minY) / range) / 2;
+  const scaled = coords.map((c) => ({
+    x: offsetX + (c.x - minX) / range,
+    y: offsetY + (c.y - minY) / range
+  }));
+
+  return {
+    points: ordered.map((idea, idx) => ({ id: idea.id, ...scaled[idx] })),
+    anchor: problemVector ? scaled[scaled.length - 1] : null,
+    method: used
+  };
+}
+
+// ---- CSV ----
+
+// Minimal RFC 4180 parser: quoted fields, doubled quotes and line breaks
+// inside quotes. Returns an array of { line, cells } for non-empty rows.
+function parseCSV(text) {
+  const rows = [];
+  let cells = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  function endRow() {
+    cells.push(field);
+    if (cells.length > 1 || cells[0].trim() !== "") {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    field = "";
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === "\n") line += 1;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      cells.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== "" || cells.length > 0) endRow();
+  return rows;
+}
+
+export {
+  LANGUAGES,
+  detectLanguage,
+  resolveLanguage,
+  stopWordsFor,
+  splitWords,
+  tokenize,
+  stemWord,
+  extractTerms,
+  VECTOR_MODELS,
+  cosineSimilarity,
+  capitalize,
+  distinctiveKeywords,
+  DEFAULT_CLUSTERING_OPTIONS,
+  CLUSTERING_ALGORITHMS,
+  themeCohesion,
+  clusterIdeas,
+  splitClusterIdeas,
+  NOVELTY_NEIGHBORS,
+  NOVELTY_SCORING,
+  ABSOLUTE_RELEVANCE_FULL,
+  computeNoveltyScores,
+  DEFAULT_ANALYSIS_OPTIONS,
+  createAnalyzer,
+  computeAnalysis,
+  vectorizeText,
+  PROJECTION_METHODS,
+  projectIdeas,
+  parseCSV
+};
@@ -0,0 +1,181 @@
+// AffinityBoard live relay.
+//
+// A tiny WebSocket relay with no dependencies: every text message a client
+// sends is forwarded to the other clients in the same room. Boards use their
+// id as the room ("?room=<boardId>"). The relay keeps no board data; clients
+// merge what they receive and bring late joiners up to date themselves.
+//
+//   node relay.js            # listens on port 8787
+//   PORT=9000 node relay.js
+//
+// Then choose "Go live" in the app and point it at ws://<host>:<port>.
+
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.PORT) || 8787;
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const rooms = new Map();
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Pulls complete frames off the front of `buffer`. Returns the frames and
+// whatever bytes are left over for the next chunk.
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    let length = second & 0x7f;
+    let pos = offset + 2;
+    if (length === 126) {
+      if (buffer.length - pos < 2) break;
+      length = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (length === 127) {
+      if (buffer.length - pos < 8) break;
+      length = Number(buffer.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    if (length > MAX_MESSAGE_BYTES) {
+      throw new Error(`frame of ${length} bytes is too large`);
+    }
+    const masked = (second & 0x80) !== 0;
+    const mask = masked ? buffer.slice(pos, pos + 4) : null;
+    if (masked) pos += 4;
+    if (buffer.length - pos < length) break;
+
+    const payload = Buffer.from(buffer.slice(pos, pos + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, payload });
+    offset = pos + length;
+  }
+  return { frames, rest: buffer.slice(offset) };
+}
+
+function joinRoom(name, client) {
+  if (!rooms.has(name)) rooms.set(name, new Set());
+  rooms.get(name).add(client);
+}
+
+function leaveRoom(name, client) {
+  const room = rooms.get(name);
+  if (!room) return;
+  room.delete(client);
+  if (room.size === 0) rooms.delete(name);
+}
+
+function broadcast(name, sender, frame) {
+  const room = rooms.get(name);
+  if (!room) return;
+  room.forEach((client) => {
+    if (client !== sender && !client.socket.destroyed) client.socket.write(frame);
+  });
+}
+
+function handleUpgrade(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  const url = new URL(req.url, "http://relay");
+  const roomName = url.searchParams.get("room");
+  if (!key || req.headers.upgrade.toLowerCase() !== "websocket" || !roomName) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+
+  const accept = crypto
+    .createHash("sha1")
+    .update(key + WEBSOCKET_GUID)
+    .digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const client = { socket };
+  let pending = Buffer.alloc(0);
+  let fragments = [];
+  // Once a close frame has been sent, whatever else the client sends is
+  // dropped rather than parsed or relayed.
+  let closing = false;
+  const close = () => {
+    closing = true;
+    fragments = [];
+    socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+  };
+  joinRoom(roomName, client);
+  console.log(`+ ${roomName} (${rooms.get(roomName).size} connected)`);
+
+  socket.on("data", (chunk) => {
+    if (closing) return;
+    let decoded;
+    try {
+      decoded = decodeFrames(Buffer.concat([pending, chunk]));
+    } catch (err) {
+      console.warn(`Closing connection: ${err.message}`);
+      close();
+      return;
+    }
+    pending = decoded.rest;
+    decoded.frames.forEach(({ fin, opcode, payload }) => {
+      if (closing) return;
+      if (opcode === 0x8) {
+        close();
+      } else if (opcode === 0x9) {
+        socket.write(encodeFrame(0xa, payload));
+      } else if (opcode === 0x1 || opcode === 0x0) {
+        fragments.push(payload);
+        const size = fragments.reduce((total, part) => total + part.length, 0);
+        if (size > MAX_MESSAGE_BYTES) {
+          console.warn(
+            `Closing connection: message of ${size} bytes is too large`
+          );
+          close();
+          return;
+        }
+        if (!fin) return;
+        const message = Buffer.concat(fragments);
+        fragments = [];
+        broadcast(roomName, client, encodeFrame(0x1, message));
+      }
+    });
+  });
+
+  socket.on("close", () => {
+    leaveRoom(roomName, client);
+    console.log(`- ${roomName}`);
+  });
+  socket.on("error", () => socket.destroy());
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { "Content-Type": "text/plain" });
+  res.end("AffinityBoard relay is running.\n");
+});
+server.on("upgrade", handleUpgrade);
+server.listen(PORT, () => {
+  console.log(`AffinityBoard relay listening on ws://localhost:${PORT}`);
+});
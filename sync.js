@@ -0,0 +1,260 @@
+// AffinityBoard live collaboration: the replica a shared board is merged in.
+// Each replica keeps a last-writer-wins register per field: the problem
+// statement, the prompts, the custom field definitions and every field of
+// every idea, including a `deleted` flag so removals merge like any other
+// edit. Writes carry Lamport stamps [counter, site], so replicas settle on the
+// same values whatever order operations arrive in.
+//
+// It is an ES module with no DOM access, shared by the page (index.html) and
+// the tests; app.jsx sends the operations over the relay (relay.js).
+
+// Shared board fields and the value each one has before anyone writes it.
+const BOARD_REGISTERS = { problemStatement: "", prompts: [], customFields: [] };
+
+function compareStamps(a, b) {
+  if (!a) return b ? -1 : 0;
+  if (!b) return 1;
+  return a[0] - b[0] || (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0);
+}
+
+// Names that would reach Object.prototype if a peer sent them as an idea id
+// or a field name.
+const RESERVED_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+
+const isString = (value) => typeof value === "string";
+const isStringList = (value) => Array.isArray(value) && value.every(isString);
+const isObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+const isObjectList = (value) => Array.isArray(value) && value.every(isObject);
+const isFieldValues = (value) =>
+  isObject(value) &&
+  Object.keys(value).every(
+    (key) =>
+      !RESERVED_KEYS.has(key) &&
+      (isString(value[key]) || Number.isFinite(value[key]))
+  );
+
+// Replica maps are keyed by ids and field names that come from other
+// browsers, so they have no prototype for a key like "__proto__" to reach.
+function createDoc() {
+  return { values: Object.create(null), stamps: Object.create(null) };
+}
+
+function createReplica() {
+  return { clock: 0, board: createDoc(), ideas: Object.create(null) };
+}
+
+// A replica read back from JSON, with its maps made prototype-free again.
+// Null when `stored` is not a replica.
+function reviveReplica(stored) {
+  if (!stored || !stored.board || !isObject(stored.ideas)) return null;
+  const reviveDoc = (doc) => {
+    const revived = createDoc();
+    Object.assign(revived.values, doc && doc.values);
+    Object.assign(revived.stamps, doc && doc.stamps);
+    return revived;
+  };
+  const replica = createReplica();
+  replica.clock = Number.isInteger(stored.clock) ? stored.clock : 0;
+  replica.board = reviveDoc(stored.board);
+  Object.keys(stored.ideas).forEach((id) => {
+    if (!RESERVED_KEYS.has(id)) replica.ideas[id] = reviveDoc(stored.ideas[id]);
+  });
+  return replica;
+}
+
+// What each shared field may hold. Prompts and custom field definitions are
+// normalised by the page once merged.
+const BOARD_FIELD_TYPES = {
+  problemStatement: isString,
+  prompts: isObjectList,
+  customFields: isObjectList
+};
+// Every idea field but `deleted` may also be null, which clears it.
+const IDEA_FIELD_TYPES = {
+  text: isString,
+  author: isString,
+  createdAt: isString,
+  coAuthors: isStringList,
+  tags: isStringList,
+  fields: isFieldValues,
+  promptId: isString,
+  roundId: isString,
+  deleted: (value) => typeof value === "boolean"
+};
+
+// Operations come from other browsers, so check their shape and the type of
+// the value they write before merging.
+function isValidOp(op) {
+  if (
+    !op ||
+    !Array.isArray(op.stamp) ||
+    !Number.isSafeInteger(op.stamp[0]) ||
+    op.stamp[0] < 1 ||
+    typeof op.stamp[1] !== "string"
+  ) {
+    return false;
+  }
+  if (op.target === "board") {
+    return (
+      Object.prototype.hasOwnProperty.call(BOARD_FIELD_TYPES, op.field) &&
+      BOARD_FIELD_TYPES[op.field](op.value)
+    );
+  }
+  return (
+    op.target === "idea" &&
+    typeof op.id === "string" &&
+    op.id !== "" &&
+    !RESERVED_KEYS.has(op.id) &&
+    Object.prototype.hasOwnProperty.call(IDEA_FIELD_TYPES, op.field) &&
+    (IDEA_FIELD_TYPES[op.field](op.value) ||
+      (op.value === null && op.field !== "deleted"))
+  );
+}
+
+// Merges operations into the replica in place. Returns whether any register
+// took a new value.
+function applyOps(replica, ops) {
+  let changed = false;
+  ops.forEach((op) => {
+    replica.clock = Math.max(replica.clock, op.stamp[0]);
+    let doc = replica.board;
+    if (op.target === "idea") {
+      doc = replica.ideas[op.id] || (replica.ideas[op.id] = createDoc());
+    }
+    if (compareStamps(op.stamp, doc.stamps[op.field]) <= 0) return;
+    doc.values[op.field] = op.value;
+    doc.stamps[op.field] = op.stamp;
+    changed = true;
+  });
+  return changed;
+}
+
+// Operations for every local change since the replica last saw the board,
+// already merged into the replica.
+function localOps(replica, site, { ideas, ...board }) {
+  const ops = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const write = (target, id, field, value) => {
+    replica.clock += 1;
+    ops.push({ target, id, field, value, stamp: [replica.clock, site] });
+  };
+
+  Object.keys(BOARD_REGISTERS).forEach((field) => {
+    const current = replica.board.values[field] ?? BOARD_REGISTERS[field];
+    if (!same(current, board[field])) write("board", undefined, field, board[field]);
+  });
+
+  const present = new Set();
+  ideas.forEach((idea) => {
+    present.add(idea.id);
+    const values = replica.ideas[idea.id] ? replica.ideas[idea.id].values : {};
+    if (values.deleted) write("idea", idea.id, "deleted", false);
+    Object.keys(idea).forEach((field) => {
+      if (field !== "id" && !same(values[field], idea[field])) {
+        write("idea", idea.id, field, idea[field]);
+      }
+    });
+    Object.keys(values).forEach((field) => {
+      if (field !== "deleted" && !(field in idea) && values[field] !== null) {
+        write("idea", idea.id, field, null);
+      }
+    });
+  });
+  Object.keys(replica.ideas).forEach((id) => {
+    if (!present.has(id) && !replica.ideas[id].values.deleted) {
+      write("idea", id, "deleted", true);
+    }
+  });
+
+  applyOps(replica, ops);
+  return ops;
+}
+
+// The whole replica as operations, for peers that have just joined.
+function replicaOps(replica) {
+  const ops = [];
+  const collect = (target, id, doc) =>
+    Object.keys(doc.values).forEach((field) =>
+      ops.push({ target, id, field, value: doc.values[field], stamp: doc.stamps[field] })
+    );
+  collect("board", undefined, replica.board);
+  Object.keys(replica.ideas).forEach((id) => collect("idea", id, replica.ideas[id]));
+  return ops;
+}
+
+// The relay closes connections that send more than 1 MB in one message, so
+// operations travel in batches well under that.
+const SYNC_BATCH_BYTES = 256 * 1024;
+
+// Splits operations into batches whose JSON stays under `maxBytes`, so a
+// large board reaches a late joiner as several messages. An operation that
+// is larger on its own still gets a batch of its own.
+function batchOps(ops, maxBytes = SYNC_BATCH_BYTES) {
+  const encoder = new TextEncoder();
+  const batches = [];
+  let batch = [];
+  let size = 0;
+  ops.forEach((op) => {
+    const bytes = encoder.encode(JSON.stringify(op)).length + 1;
+    if (batch.length > 0 && size + bytes > maxBytes) {
+      batches.push(batch);
+      batch = [];
+      size = 0;
+    }
+    batch.push(op);
+    size += bytes;
+  });
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+}
+
+// Board content from the replica. Ideas keep their local order; ideas that
+// arrived from peers are appended by creation time.
+function materializeReplica(replica, { ideas, ...board }) {
+  const visible = (id) => {
+    const doc = replica.ideas[id];
+    return Boolean(doc && !doc.values.deleted && typeof doc.values.text === "string");
+  };
+  const toIdea = (id) => {
+    const idea = { id };
+    Object.entries(replica.ideas[id].values).forEach(([field, value]) => {
+      if (field !== "deleted" && value !== null) idea[field] = value;
+    });
+    return idea;
+  };
+  const known = new Set(ideas.map((idea) => idea.id));
+  const added = Object.keys(replica.ideas)
+    .filter((id) => !known.has(id) && visible(id))
+    .map(toIdea)
+    .sort(
+      (a, b) =>
+        (a.createdAt || "").localeCompare(b.createdAt || "") ||
+        (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+    );
+  const shared = {};
+  Object.keys(BOARD_REGISTERS).forEach((field) => {
+    shared[field] = replica.board.values[field] ?? board[field];
+  });
+  return {
+    ...shared,
+    ideas: [
+      ...ideas.filter((idea) => visible(idea.id)).map((idea) => toIdea(idea.id)),
+      ...added
+    ]
+  };
+}
+
+export {
+  BOARD_REGISTERS,
+  SYNC_BATCH_BYTES,
+  compareStamps,
+  createReplica,
+  reviveReplica,
+  isValidOp,
+  applyOps,
+  localOps,
+  replicaOps,
+  batchOps,
+  materializeReplica
+};
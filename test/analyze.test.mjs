@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const ANALYZE = fileURLToPath(new URL("../analyze.mjs", import.meta.url));
+const fixture = (name) =>
+  fileURLToPath(new URL(`fixtures/${name}`, import.meta.url));
+
+function analyze(...args) {
+  const result = spawnSync(process.execPath, [ANALYZE, ...args], {
+    encoding: "utf8",
+    timeout: 30000
+  });
+  assert.equal(result.status, 0, result.stderr);
+  return JSON.parse(result.stdout);
+}
+
+// Every idea sits in exactly one theme, and the streak and reminder ideas
+// are grouped together.
+function assertThemes(report, [streak, streak2, push, push2]) {
+  const themed = report.clusters.flatMap((cluster) => cluster.ideaIds).sort();
+  assert.deepEqual(themed, report.ideas.map((idea) => idea.id).sort());
+  const themeOf = Object.fromEntries(
+    report.ideas.map((idea) => [idea.id, idea.theme])
+  );
+  assert.equal(themeOf[streak], themeOf[streak2]);
+  assert.equal(themeOf[push], themeOf[push2]);
+  assert.notEqual(themeOf[streak], themeOf[push]);
+  report.ideas.forEach((idea) => {
+    assert.ok(idea.novelty >= 0 && idea.novelty <= 100, idea.id);
+  });
+}
+
+test("analyze.mjs reads one idea per line from a text file", () => {
+  const report = analyze(fixture("ideas.txt"), "--format", "json");
+  assert.deepEqual(
+    report.ideas.map((idea) => [idea.id, idea.text]),
+    [
+      ["i1", "Daily streak rewards"],
+      ["i2", "Streak badges for daily use"],
+      ["i3", "Push notification reminders"],
+      ["i4", "Reminder notifications at lunch"],
+      ["i5", "Dark mode"]
+    ]
+  );
+  assert.equal(report.problemStatement, "");
+  assertThemes(report, ["i1", "i2", "i3", "i4"]);
+});
+
+test("analyze.mjs keeps the ids and authors of a CSV file", () => {
+  const report = analyze(
+    fixture("ideas.csv"),
+    "--format",
+    "json",
+    "--problem",
+    "How might we reduce churn?"
+  );
+  assert.deepEqual(
+    report.ideas.map((idea) => [idea.id, idea.author]),
+    [
+      ["s1", "Ana"],
+      ["s2", "Ben"],
+      ["s3", "Ana"],
+      ["s4", "Cleo"],
+      ["s5", "Ben"]
+    ]
+  );
+  assert.equal(report.ideas[1].text, "Streak badges, for daily use");
+  assert.equal(report.problemStatement, "How might we reduce churn?");
+  assertThemes(report, ["s1", "s2", "s3", "s4"]);
+});
+
+test("analyze.mjs reads a board export with its problem statement", () => {
+  const report = analyze(
+    fixture("board.json"),
+    "--format",
+    "json",
+    "--algorithm",
+    "greedy"
+  );
+  assert.equal(report.problemStatement, "How might we reduce churn?");
+  assert.equal(report.ideas.length, 5);
+  assert.equal(report.scoring, "relative");
+  assertThemes(report, ["i1", "i2", "i3", "i4"]);
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BOARD_SCHEMA_VERSION,
+  migrateBoard,
+  nextIdeaIdFor,
+  newIdeaId
+} from "../board.js";
+import { DEFAULT_CLUSTERING_OPTIONS } from "../engine.js";
+
+const ideas = [
+  {
+    id: "i1",
+    text: "Push notifications",
+    author: "Ana",
+    createdAt: "2026-01-01T09:00:00.000Z"
+  }
+];
+
+test("boards saved before configurable clustering stay greedy at 0.35", () => {
+  const saved = [
+    { name: "Version 0", ideas },
+    { schemaVersion: 1, name: "Version 1", problemStatement: "", ideas },
+    {
+      schemaVersion: 2,
+      name: "Version 2",
+      problemStatement: "",
+      ideas,
+      analysisOptions: { vectorModel: "tfidf", stemming: true, bigrams: false }
+    }
+  ];
+  saved.forEach((board) => {
+    const migrated = migrateBoard(board);
+    assert.equal(migrated.schemaVersion, BOARD_SCHEMA_VERSION);
+    assert.deepEqual(
+      migrated.analysisOptions.clustering,
+      { ...DEFAULT_CLUSTERING_OPTIONS, algorithm: "greedy", threshold: 0.35 },
+      board.name
+    );
+  });
+  assert.equal(migrateBoard(saved[2]).analysisOptions.bigrams, false);
+});
+
+test("two browsers adding to a shared board offline pick different ids", () => {
+  const board = migrateBoard({
+    schemaVersion: BOARD_SCHEMA_VERSION,
+    ideas: [
+      { ...ideas[0], id: "i1" },
+      { ...ideas[0], id: "i2-k3x9q" }
+    ]
+  });
+  const addThree = (site) => {
+    let next = nextIdeaIdFor(board.ideas, board.nextIdeaId);
+    return [1, 2, 3].map(() => newIdeaId(next++, site));
+  };
+  const here = addThree("a1b2c3");
+  const there = addThree("z9y8x7");
+  assert.deepEqual(here, ["i3-a1b2c3", "i4-a1b2c3", "i5-a1b2c3"]);
+  assert.equal(new Set([...here, ...there]).size, 6);
+
+  const merged = [...board.ideas, ...[...here, ...there].map((id) => ({ id }))];
+  assert.equal(nextIdeaIdFor(merged, board.nextIdeaId), 6);
+});
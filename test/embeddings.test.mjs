@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createHttpEmbeddingProvider, embedTexts } from "../embeddings.js";
+
+// An OpenAI-style endpoint that embeds each text as [length, index] and
+// records every request it sees.
+async function startEndpoint(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const request = { headers: req.headers, body: JSON.parse(body) };
+      requests.push(request);
+      respond(request, res);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const endpoint = `http://127.0.0.1:${server.address().port}/v1/embeddings`;
+  return { endpoint, requests, close: () => server.close() };
+}
+
+function embedEach({ body }, res) {
+  const data = body.input
+    .map((text, index) => ({ index, embedding: [text.length, index] }))
+    .reverse();
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify({ data }));
+}
+
+test("texts are embedded in batches and cached per text", async () => {
+  const server = await startEndpoint(embedEach);
+  try {
+    const provider = createHttpEmbeddingProvider({
+      endpoint: server.endpoint,
+      model: "tiny",
+      batchSize: 2
+    });
+    const cache = new Map();
+    await embedTexts(provider, ["a", "bb", "ccc", "bb", "dddd", "eeeee"], cache);
+    assert.deepEqual(
+      server.requests.map((r) => r.body),
+      [
+        { input: ["a", "bb"], model: "tiny" },
+        { input: ["ccc", "dddd"], model: "tiny" },
+        { input: ["eeeee"], model: "tiny" }
+      ]
+    );
+    assert.deepEqual(cache.get("ccc"), [3, 0]);
+    assert.deepEqual(cache.get("dddd"), [4, 1]);
+
+    await embedTexts(provider, ["a", "dddd", "ffffff"], cache);
+    assert.equal(server.requests.length, 4);
+    assert.deepEqual(server.requests[3].body.input, ["ffffff"]);
+    await embedTexts(provider, ["a", "ffffff"], cache);
+    assert.equal(server.requests.length, 4);
+  } finally {
+    server.close();
+  }
+});
+
+test("the API key is sent as a bearer token, and only when set", async () => {
+  const server = await startEndpoint(embedEach);
+  try {
+    await createHttpEmbeddingProvider({
+      endpoint: server.endpoint,
+      apiKey: "sk-test"
+    }).embed(["a"]);
+    await createHttpEmbeddingProvider({ endpoint: server.endpoint }).embed(["a"]);
+    assert.equal(server.requests[0].headers.authorization, "Bearer sk-test");
+    assert.equal(server.requests[1].headers.authorization, undefined);
+    assert.deepEqual(server.requests[1].body, { input: ["a"] });
+  } finally {
+    server.close();
+  }
+});
+
+test("a failed request rejects with the status", async () => {
+  const server = await startEndpoint((request, res) => {
+    res.statusCode = 401;
+    res.statusMessage = "Unauthorized";
+    res.end("{}");
+  });
+  try {
+    const provider = createHttpEmbeddingProvider({ endpoint: server.endpoint });
+    const cache = new Map();
+    await assert.rejects(
+      embedTexts(provider, ["a", "bb"], cache),
+      /Embedding request failed: 401 Unauthorized/
+    );
+    assert.equal(cache.size, 0);
+  } finally {
+    server.close();
+  }
+});
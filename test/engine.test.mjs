@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CLUSTERING_ALGORITHMS,
+  computeAnalysis,
+  computeNoveltyScores,
+  vectorizeText,
+  cosineSimilarity
+} from "../engine.js";
+
+const ideas = [
+  { id: "i1", text: "Push notifications", author: "Ana" },
+  { id: "i2", text: "Weekly streak rewards", author: "Ben" },
+  { id: "i3", text: "Dark mode", author: "Cleo" }
+];
+
+test("a draft's words the board has not used count against its similarity", () => {
+  const analysis = computeAnalysis("", ideas, {});
+  const draft = vectorizeText(
+    analysis,
+    "Push notifications when a teammate comments on a shared calendar invite"
+  );
+  const similarity = cosineSimilarity(draft, analysis.ideaVectors.i1);
+  assert.ok(similarity > 0.3 && similarity < 0.6, `similarity was ${similarity}`);
+});
+
+test("a draft that repeats an idea is still a duplicate", () => {
+  const analysis = computeAnalysis("", ideas, {});
+  const draft = vectorizeText(analysis, "push notifications");
+  assert.ok(cosineSimilarity(draft, analysis.ideaVectors.i1) > 0.99);
+});
+
+test("absolute novelty stays within 0–100 when embeddings point apart", () => {
+  const opposite = [
+    { id: "i1", text: "Push notifications" },
+    { id: "i2", text: "No notifications at all" }
+  ];
+  const vectors = { i1: [1, 0], i2: [-1, 0] };
+  const { scoresByMode } = computeNoveltyScores(
+    opposite,
+    vectors,
+    null,
+    false,
+    "absolute"
+  );
+  assert.deepEqual(scoresByMode.absolute, { i1: 100, i2: 100 });
+});
+
+test("the nearest idea by someone else is found beyond the novelty neighbours", () => {
+  const board = [
+    { id: "i1", text: "Daily streak rewards", author: "Ana" },
+    { id: "i2", text: "Daily streak rewards with badges", author: "Ana" },
+    { id: "i3", text: "Streak rewards every day", author: "Ana" },
+    { id: "i4", text: "Daily rewards calendar", author: "Ana" },
+    { id: "i5", text: "Rewards for inviting friends", author: "Ben" }
+  ];
+  const analysis = computeAnalysis("", board, { neighbors: 3 });
+  const neighborIds = analysis.noveltyDetails.i1.neighbors.map((n) => n.id);
+  assert.ok(!neighborIds.includes("i5"));
+  const nearest = analysis.nearestOtherAuthor.i1;
+  assert.equal(nearest.id, "i5");
+  assert.ok(nearest.similarity > 0);
+  assert.equal(analysis.nearestOtherAuthor.i5.id, "i1");
+});
+
+const brainstorm = [
+  "Daily streak rewards",
+  "Streak badges for daily use",
+  "Reward a seven day streak",
+  "Push notification reminders",
+  "Reminder notifications at lunch",
+  "Smarter push notification timing",
+  "Leaderboard with friends",
+  "Invite friends for rewards",
+  "Compare progress with friends",
+  "Dark mode",
+  "Offline mode for the app",
+  "Export data to a spreadsheet"
+].map((text, idx) => ({ id: `i${idx + 1}`, text, author: `Person ${idx % 4}` }));
+
+// A repeatable shuffle (a small linear congruential generator).
+function shuffled(list, seed) {
+  const copy = list.slice();
+  let state = seed;
+  for (let i = copy.length - 1; i > 0; i--) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    const j = state % (i + 1);
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+function partition(analysis) {
+  return analysis.clusters
+    .map((cluster) => cluster.ideaIds.slice().sort())
+    .sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+Object.keys(CLUSTERING_ALGORITHMS).forEach((algorithm) => {
+  test(`${algorithm} clustering does not depend on the order of the ideas`, () => {
+    const options = { clustering: { algorithm } };
+    const expected = partition(computeAnalysis("", brainstorm, options));
+    assert.ok(expected.length > 1 && expected.length < brainstorm.length);
+    [1, 2, 3, 4, 5].forEach((seed) => {
+      const analysis = computeAnalysis("", shuffled(brainstorm, seed), options);
+      assert.deepEqual(partition(analysis), expected, `shuffle ${seed}`);
+    });
+  });
+});
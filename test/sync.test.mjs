@@ -0,0 +1,256 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import crypto from "node:crypto";
+import http from "node:http";
+import net from "node:net";
+import { fileURLToPath } from "node:url";
+import {
+  createReplica,
+  reviveReplica,
+  localOps,
+  replicaOps,
+  batchOps,
+  applyOps,
+  isValidOp,
+  materializeReplica
+} from "../sync.js";
+
+const RELAY = fileURLToPath(new URL("../relay.js", import.meta.url));
+const EMPTY_BOARD = { problemStatement: "", prompts: [], customFields: [], ideas: [] };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on("error", reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function startRelay() {
+  const port = await freePort();
+  const relay = spawn(process.execPath, [RELAY], {
+    env: { ...process.env, PORT: String(port) },
+    stdio: ["ignore", "pipe", "inherit"]
+  });
+  await new Promise((resolve, reject) => {
+    relay.on("exit", () => reject(new Error("the relay exited")));
+    relay.stdout.on("data", (chunk) => {
+      if (String(chunk).includes("listening")) resolve();
+    });
+  });
+  return { relay, port };
+}
+
+// A minimal WebSocket client: masked text frames out, unmasked frames in.
+function connect(port, room) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      port,
+      path: `/?room=${room}`,
+      headers: {
+        Connection: "Upgrade",
+        Upgrade: "websocket",
+        "Sec-WebSocket-Key": crypto.randomBytes(16).toString("base64"),
+        "Sec-WebSocket-Version": "13"
+      }
+    });
+    req.on("error", reject);
+    req.on("upgrade", (res, socket) => {
+      const client = {
+        messages: [],
+        closed: false,
+        onMessage: () => {},
+        onClose: () => {}
+      };
+      const closed = () => {
+        client.closed = true;
+        client.onClose();
+      };
+      let pending = Buffer.alloc(0);
+      socket.on("data", (chunk) => {
+        pending = Buffer.concat([pending, chunk]);
+        while (pending.length >= 2) {
+          let length = pending[1] & 0x7f;
+          let pos = 2;
+          if (length === 126) {
+            length = pending.readUInt16BE(2);
+            pos = 4;
+          } else if (length === 127) {
+            length = Number(pending.readBigUInt64BE(2));
+            pos = 10;
+          }
+          if (pending.length < pos + length) break;
+          const opcode = pending[0] & 0x0f;
+          const payload = pending.slice(pos, pos + length);
+          pending = pending.slice(pos + length);
+          if (opcode === 0x8) closed();
+          if (opcode === 0x1) {
+            client.messages.push(JSON.parse(payload));
+            client.onMessage();
+          }
+        }
+      });
+      socket.on("close", closed);
+      client.send = (message) => socket.write(maskedFrame(message));
+      client.write = (frames) => socket.write(Buffer.concat(frames));
+      client.close = () => socket.destroy();
+      resolve(client);
+    });
+    req.end();
+  });
+}
+
+// A client frame carrying `message` as JSON, or `bytes` of filler; `fin`
+// false leaves the message open for continuation frames.
+function maskedFrame(message, { fin = true, opcode = 0x1, bytes } = {}) {
+  const payload =
+    bytes === undefined
+      ? Buffer.from(JSON.stringify(message))
+      : Buffer.alloc(bytes, 0x20);
+  const mask = crypto.randomBytes(4);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0, 0x80 | payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 0x80 | 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  header[0] = (fin ? 0x80 : 0) | opcode;
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+  return Buffer.concat([header, mask, payload]);
+}
+
+function largeBoard(count) {
+  const ideas = [];
+  for (let i = 0; i < count; i++) {
+    ideas.push({
+      id: `i${i + 1}`,
+      text:
+        `Idea number ${i + 1}: reward people who keep a streak going for a ` +
+        "week with a small badge they can share with the rest of the team",
+      author: `Person ${i % 40}`,
+      createdAt: new Date(Date.UTC(2026, 0, 1, 0, 0, i)).toISOString(),
+      coAuthors: [],
+      tags: ["habits", "rewards"],
+      fields: {}
+    });
+  }
+  return { ...EMPTY_BOARD, problemStatement: "How might we reduce churn?", ideas };
+}
+
+const LATE_JOINER = "a board too large for one relay message reaches a late joiner";
+
+test(LATE_JOINER, { timeout: 30000 }, async () => {
+  const { relay, port } = await startRelay();
+  const sender = await connect(port, "large");
+  const joiner = await connect(port, "large");
+  try {
+    const board = largeBoard(2000);
+    const replica = createReplica();
+    localOps(replica, "sender", board);
+    const ops = replicaOps(replica);
+    assert.ok(JSON.stringify(ops).length > 1024 * 1024, "the board fits one message");
+
+    const received = new Promise((resolve, reject) => {
+      sender.onClose = () => reject(new Error("the relay closed the connection"));
+      joiner.onMessage = () => {
+        const count = joiner.messages.reduce((sum, m) => sum + m.ops.length, 0);
+        if (count >= ops.length) resolve();
+      };
+    });
+    const batches = batchOps(ops);
+    assert.ok(batches.length > 1);
+    batches.forEach((batch) =>
+      sender.send({ type: "state", site: "sender", ops: batch })
+    );
+    await received;
+
+    const copy = createReplica();
+    joiner.messages.forEach((message) =>
+      applyOps(copy, message.ops.filter(isValidOp))
+    );
+    const ideas = materializeReplica(copy, EMPTY_BOARD).ideas;
+    assert.equal(ideas.length, 2000);
+    assert.deepEqual(ideas[1999], board.ideas[1999]);
+    assert.equal(sender.closed, false);
+  } finally {
+    sender.close();
+    joiner.close();
+    relay.kill();
+  }
+});
+
+test("the relay stops reading a connection it closes", async () => {
+  const { relay, port } = await startRelay();
+  const sender = await connect(port, "oversized");
+  const joiner = await connect(port, "oversized");
+  try {
+    const closed = new Promise((resolve) => (sender.onClose = resolve));
+    // The two halves of the first message add up to more than the relay's
+    // 1 MB limit; the message after them must not be relayed.
+    sender.write([
+      maskedFrame(null, { fin: false, bytes: 600 * 1024 }),
+      maskedFrame(null, { fin: false, opcode: 0x0, bytes: 600 * 1024 }),
+      maskedFrame({ type: "ops", site: "sender", ops: [] })
+    ]);
+    await closed;
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.deepEqual(joiner.messages, []);
+  } finally {
+    sender.close();
+    joiner.close();
+    relay.kill();
+  }
+});
+
+test("operations cannot reach Object.prototype or write the wrong type", () => {
+  const stamp = [1, "peer"];
+  const op = (fields) => ({
+    target: "idea",
+    id: "i1",
+    field: "text",
+    stamp,
+    ...fields
+  });
+  assert.equal(isValidOp(op({ value: "Dark mode" })), true);
+  assert.equal(isValidOp(op({ field: "promptId", value: null })), true);
+  assert.equal(isValidOp(op({ id: "__proto__", value: "Dark mode" })), false);
+  assert.equal(isValidOp(op({ id: "constructor", value: "Dark mode" })), false);
+  assert.equal(isValidOp(op({ field: "__proto__", value: {} })), false);
+  assert.equal(isValidOp(op({ field: "author", value: { name: "Ana" } })), false);
+  assert.equal(isValidOp(op({ field: "coAuthors", value: "Ana" })), false);
+  assert.equal(isValidOp(op({ field: "tags", value: [1, 2] })), false);
+  assert.equal(isValidOp(op({ field: "deleted", value: null })), false);
+  assert.equal(isValidOp(op({ field: "fields", value: { f1: { x: 1 } } })), false);
+  assert.equal(
+    isValidOp({ target: "board", field: "problemStatement", value: 42, stamp }),
+    false
+  );
+
+  const replica = createReplica();
+  applyOps(replica, [op({ id: "hasOwnProperty", value: "Dark mode" })]);
+  assert.deepEqual(
+    materializeReplica(replica, EMPTY_BOARD).ideas.map((idea) => idea.id),
+    ["hasOwnProperty"]
+  );
+  assert.equal(Object.prototype.text, undefined);
+});
+
+test("a stored replica is revived without prototypes", () => {
+  const replica = createReplica();
+  localOps(replica, "me", largeBoard(2));
+  const revived = reviveReplica(JSON.parse(JSON.stringify(replica)));
+  assert.equal(Object.getPrototypeOf(revived.ideas), null);
+  assert.equal(Object.getPrototypeOf(revived.ideas.i1.values), null);
+  assert.deepEqual(replicaOps(revived), replicaOps(replica));
+  assert.equal(reviveReplica({ clock: 3 }), null);
+});